@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// Protects the /admin routes with a separate ADMIN_SECRET_KEY, sent in the
+// x-admin-key header. API keys are never accepted here. Without
+// ADMIN_SECRET_KEY every admin request is rejected.
+const adminAuth = (req, res, next) => {
+  const adminKey = req.headers['x-admin-key'];
+  const expectedKey = process.env.ADMIN_SECRET_KEY;
+
+  // Hash both sides so the comparison is constant-time regardless of length
+  const matches = typeof adminKey === 'string' && expectedKey &&
+    crypto.timingSafeEqual(
+      crypto.createHash('sha256').update(adminKey).digest(),
+      crypto.createHash('sha256').update(expectedKey).digest()
+    );
+
+  if (!matches) {
+    return res.status(401).json({
+      error: 'Unauthorized - Invalid admin key',
+      code: 'UNAUTHORIZED'
+    });
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
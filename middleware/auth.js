@@ -1,37 +1,24 @@
-const crypto = require('crypto');
+const { verifyApiKey } = require('../services/apiKeys');
+const { ErrorCodes } = require('../services/errors');
 
-const auth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  const expectedKey = process.env.API_SECRET_KEY;
+// Looks up the x-api-key header in the key store and attaches the key's
+// metadata (id, name, owner, scopes, ...) to the request as req.apiKey
+const auth = async (req, res, next) => {
+  try {
+    const result = await verifyApiKey(req.headers['x-api-key']);
 
-  // Check if API key is provided
-  if (!apiKey || !expectedKey) {
-    return res.status(401).json({
-      error: 'Unauthorized - Invalid API key',
-      code: 'UNAUTHORIZED'
-    });
-  }
-
-  // Use timing-safe comparison to prevent timing attacks
-  const apiKeyBuffer = Buffer.from(apiKey);
-  const expectedKeyBuffer = Buffer.from(expectedKey);
+    if (!result.apiKey) {
+      return res.status(401).json({
+        error: `Unauthorized - ${result.error}`,
+        code: ErrorCodes.UNAUTHORIZED
+      });
+    }
 
-  // Keys must be same length for timingSafeEqual
-  if (apiKeyBuffer.length !== expectedKeyBuffer.length) {
-    return res.status(401).json({
-      error: 'Unauthorized - Invalid API key',
-      code: 'UNAUTHORIZED'
-    });
+    req.apiKey = result.apiKey;
+    next();
+  } catch (error) {
+    next(error);
   }
-
-  if (!crypto.timingSafeEqual(apiKeyBuffer, expectedKeyBuffer)) {
-    return res.status(401).json({
-      error: 'Unauthorized - Invalid API key',
-      code: 'UNAUTHORIZED'
-    });
-  }
-
-  next();
 };
 
 module.exports = auth;
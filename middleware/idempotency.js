@@ -0,0 +1,160 @@
+const { claimIdempotencyKey } = require('../services/idempotency');
+const { ErrorCodes } = require('../services/errors');
+const { wantsEventStream } = require('./sse');
+
+const MAX_KEY_LENGTH = 255;
+
+// Response headers stored and replayed along with the body
+const REPLAYED_HEADERS = ['content-type', 'location', 'x-cache', 'x-tokens-input', 'x-tokens-output', 'x-model'];
+
+// Give up waiting for a timed-out request's result after this long
+const LATE_RESULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Server errors, timeouts and rate limits are retryable, so they are not
+// stored and a retry runs the request again
+function isReplayable(statusCode) {
+  return statusCode < 500 && statusCode !== 408 && statusCode !== 429;
+}
+
+function sendStoredResponse(res, response) {
+  res.status(response.statusCode);
+  for (const [name, value] of Object.entries(response.headers)) {
+    res.setHeader(name, value);
+  }
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.end(response.body);
+}
+
+// Keep a copy of everything written to the response
+function captureBody(res) {
+  const chunks = [];
+  const { write, end } = res;
+
+  const collect = (chunk, encoding) => {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function') return;
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+  };
+
+  res.write = function (chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  return () => Buffer.concat(chunks).toString('utf8');
+}
+
+// Headers worth replaying from a finished response
+function storedHeaders(res) {
+  const headers = {};
+  for (const name of REPLAYED_HEADERS) {
+    const value = res.getHeader(name);
+    if (value !== undefined) headers[name] = String(value);
+  }
+  return headers;
+}
+
+// Honors the Idempotency-Key header on POST routes. Runs after auth so keys
+// are scoped to the calling API key, and before the token quota so replaying
+// a finished request is never blocked. Requests without the header are
+// untouched; if the idempotency store fails, the request runs normally.
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey === undefined) return next();
+
+  if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      code: ErrorCodes.VALIDATION_ERROR,
+      retryable: false
+    });
+  }
+
+  let claim;
+  try {
+    claim = await claimIdempotencyKey(req.apiKey.id, idempotencyKey, {
+      method: req.method,
+      path: req.baseUrl + req.path,
+      stream: wantsEventStream(req),
+      body: req.body
+    });
+  } catch (error) {
+    console.error('Idempotency check failed:', error);
+    return next();
+  }
+
+  if (claim.conflict) {
+    return res.status(422).json({
+      error: 'Idempotency-Key has already been used for a different request',
+      code: ErrorCodes.IDEMPOTENCY_CONFLICT,
+      retryable: false
+    });
+  }
+
+  if (claim.response) {
+    return sendStoredResponse(res, claim.response);
+  }
+
+  let settled = false;
+  let lateResultTimer;
+  const settle = (response) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(lateResultTimer);
+    claim.complete(response && isReplayable(response.statusCode) ? response : null)
+      .catch(error => console.error('Failed to store idempotent response:', error));
+  };
+
+  const capturedBody = captureBody(res);
+
+  // The request timeout in server.js answers 408 while the route handler is
+  // still working. Its result is then stored instead of sent, so the
+  // client's retry gets it rather than paying for the work twice.
+  const { json, status } = res;
+  let lateStatusCode = 200;
+  res.status = function (code) {
+    if (res.headersSent) {
+      lateStatusCode = code;
+      return this;
+    }
+    return status.call(this, code);
+  };
+  res.json = function (body) {
+    if (!res.headersSent) return json.call(this, body);
+    if (res.locals.timedOut) {
+      settle({
+        statusCode: lateStatusCode,
+        headers: { 'content-type': 'application/json; charset=utf-8' },
+        body: JSON.stringify(body)
+      });
+    }
+    return this;
+  };
+
+  res.on('close', () => {
+    if (res.locals.timedOut && !res.locals.eventStream) {
+      lateResultTimer = setTimeout(() => settle(null), LATE_RESULT_TIMEOUT_MS);
+      lateResultTimer.unref();
+      return;
+    }
+
+    // Disconnected clients and failed streams leave nothing to replay
+    const stream = res.locals.eventStream;
+    if (!res.writableFinished || (stream && stream.failed)) {
+      return settle(null);
+    }
+
+    settle({
+      statusCode: res.statusCode,
+      headers: storedHeaders(res),
+      body: capturedBody()
+    });
+  });
+
+  next();
+};
+
+module.exports = idempotency;
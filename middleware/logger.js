@@ -14,15 +14,27 @@ function formatDuration(ms) {
   return `${(ms / 1000).toFixed(2)}s`;
 }
 
-// Mask sensitive data in request body
+// Request fields holding user content, logged as their size only
+const CONTENT_FIELDS = {
+  transcript: (value) => typeof value === 'string' ? `[${value.length} chars]` : value,
+  text: (value) => typeof value === 'string' ? `[${value.length} chars]` : value,
+  subtitles: (value) => typeof value === 'string' ? `[${value.length} chars]` : value,
+  segments: (value) => Array.isArray(value) ? `[${value.length} segments]` : value,
+  answers: (value) => Array.isArray(value) ? `[${value.length} answers]` : value
+};
+
+// Mask sensitive data in request body. A job request carries the
+// operation's body under `body`, which is masked the same way.
 function maskSensitiveData(body) {
-  if (!body) return body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
 
   const masked = { ...body };
 
-  // Mask long transcripts (show length instead)
-  if (masked.transcript && typeof masked.transcript === 'string') {
-    masked.transcript = `[${masked.transcript.length} chars]`;
+  // Mask long transcripts and other content (show their size instead)
+  for (const [field, mask] of Object.entries(CONTENT_FIELDS)) {
+    if (masked[field] !== undefined) {
+      masked[field] = mask(masked[field]);
+    }
   }
 
   // Mask any potential sensitive fields
@@ -33,9 +45,18 @@ function maskSensitiveData(body) {
     }
   }
 
+  if (masked.body) {
+    masked.body = maskSensitiveData(masked.body);
+  }
+
   return masked;
 }
 
+// Check whether a response is a Server-Sent Events stream
+function isEventStream(res) {
+  return String(res.getHeader('content-type') || '').startsWith('text/event-stream');
+}
+
 // Log levels
 const LOG_LEVELS = {
   INFO: 'INFO',
@@ -43,6 +64,17 @@ const LOG_LEVELS = {
   ERROR: 'ERROR'
 };
 
+// Functions called with every log entry (see onLogEntry)
+const logListeners = [];
+
+/**
+ * Subscribe to log entries as they are written, e.g. to aggregate metrics.
+ * Listeners receive the entry object before it is serialized.
+ */
+function onLogEntry(listener) {
+  logListeners.push(listener);
+}
+
 // Format log entry
 function formatLog(level, requestId, message, data = {}) {
   const timestamp = new Date().toISOString();
@@ -54,6 +86,15 @@ function formatLog(level, requestId, message, data = {}) {
     ...data
   };
 
+  // A failing listener must never break logging or the request
+  for (const listener of logListeners) {
+    try {
+      listener(logEntry);
+    } catch (error) {
+      console.error('Log listener error:', error);
+    }
+  }
+
   // In production, you might send this to a logging service
   // For now, output as JSON for easy parsing
   return JSON.stringify(logEntry);
@@ -73,6 +114,9 @@ function requestLogger(req, res, next) {
   // Capture start time
   const startTime = Date.now();
 
+  // Routers rewrite req.url while handling the request, so keep the full path
+  const path = req.path;
+
   // Get client IP (handle proxies)
   const clientIP = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
     || req.socket?.remoteAddress
@@ -81,7 +125,7 @@ function requestLogger(req, res, next) {
   // Log incoming request
   console.log(formatLog(LOG_LEVELS.INFO, requestId, 'Incoming request', {
     method: req.method,
-    path: req.path,
+    path,
     query: Object.keys(req.query).length > 0 ? req.query : undefined,
     body: req.method !== 'GET' ? maskSensitiveData(req.body) : undefined,
     clientIP,
@@ -93,6 +137,7 @@ function requestLogger(req, res, next) {
   res.end = function(chunk, encoding) {
     // Calculate duration
     const duration = Date.now() - startTime;
+    const streamed = isEventStream(res);
 
     // Determine log level based on status code
     let level = LOG_LEVELS.INFO;
@@ -105,25 +150,45 @@ function requestLogger(req, res, next) {
     // Log response
     console.log(formatLog(level, requestId, 'Request completed', {
       method: req.method,
-      path: req.path,
+      path,
+      // Matched route pattern, e.g. /api/jobs/:id (absent when nothing matched)
+      route: req.route ? (req.baseUrl + req.route.path).replace(/(.)\/$/, '$1') : undefined,
       statusCode: res.statusCode,
+      keyId: req.apiKey?.id,
       duration: formatDuration(duration),
       durationMs: duration,
-      contentLength: res.getHeader('content-length')
+      contentLength: res.getHeader('content-length'),
+      cache: res.getHeader('x-cache'),
+      streamed: streamed || undefined
     }));
 
-    // Log slow requests as warnings
-    if (duration > 5000) {
+    // Log slow requests as warnings (streams are long-lived by design)
+    if (duration > 5000 && !streamed) {
       console.log(formatLog(LOG_LEVELS.WARN, requestId, 'Slow request detected', {
-        path: req.path,
+        path,
         duration: formatDuration(duration)
       }));
     }
 
     // Call original end
-    originalEnd.call(this, chunk, encoding);
+    return originalEnd.call(this, chunk, encoding);
   };
 
+  // Log clients that disconnect before the response ends (e.g. mid-stream)
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      const duration = Date.now() - startTime;
+      console.log(formatLog(LOG_LEVELS.WARN, requestId, 'Client disconnected', {
+        method: req.method,
+        path,
+        keyId: req.apiKey?.id,
+        duration: formatDuration(duration),
+        durationMs: duration,
+        streamed: isEventStream(res) || undefined
+      }));
+    }
+  });
+
   next();
 }
 
@@ -154,5 +219,6 @@ module.exports = {
   requestLogger,
   errorLogger,
   logAnalytics,
+  onLogEntry,
   LOG_LEVELS
 };
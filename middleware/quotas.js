@@ -0,0 +1,62 @@
+const { hitRequestRate, getTokenQuota } = require('../services/quotas');
+const { ErrorCodes } = require('../services/errors');
+
+// Seconds until `resetAt`, for the Retry-After header
+function secondsUntil(resetAt) {
+  return Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+}
+
+// Per-key requests-per-minute limit from the key's plan. Runs after auth.
+// If the counter store is unreachable, requests are let through rather than
+// taking the API down with it.
+const keyRateLimit = async (req, res, next) => {
+  let rate;
+  try {
+    rate = await hitRequestRate(req.apiKey);
+  } catch (error) {
+    console.error('Rate limit check failed:', error);
+    return next();
+  }
+  if (!rate) return next();
+
+  res.setHeader('RateLimit-Limit', rate.limit);
+  res.setHeader('RateLimit-Remaining', rate.remaining);
+  res.setHeader('RateLimit-Reset', secondsUntil(rate.resetAt));
+
+  if (rate.exceeded) {
+    res.setHeader('Retry-After', secondsUntil(rate.resetAt));
+    return res.status(429).json({
+      error: 'Too many requests for this API key, please try again later.',
+      code: ErrorCodes.RATE_LIMITED,
+      retryable: true,
+      resetAt: rate.resetAt.toISOString()
+    });
+  }
+
+  next();
+};
+
+// Reject AI requests once the key's monthly token quota is used up
+const tokenQuota = async (req, res, next) => {
+  let quota;
+  try {
+    quota = await getTokenQuota(req.apiKey);
+  } catch (error) {
+    console.error('Token quota check failed:', error);
+    return next();
+  }
+
+  if (quota.exceeded) {
+    res.setHeader('Retry-After', secondsUntil(quota.resetAt));
+    return res.status(429).json({
+      error: `Monthly token quota of ${quota.tokensPerMonth} tokens exceeded for the ${quota.plan} plan.`,
+      code: ErrorCodes.QUOTA_EXCEEDED,
+      retryable: false,
+      resetAt: quota.resetAt.toISOString()
+    });
+  }
+
+  next();
+};
+
+module.exports = { keyRateLimit, tokenQuota };
@@ -0,0 +1,98 @@
+/**
+ * Server-Sent Events helpers for VoiceSnap API
+ * Lets free-text endpoints stream Claude's output as it is generated
+ */
+
+// Comment lines keep proxies and the request timeout from treating the stream as idle
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Upper bound on how long a single stream may stay open
+const STREAM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Check whether the client opted into streaming (Accept header or ?stream=1)
+function wantsEventStream(req) {
+  const { stream } = req.query;
+  if (stream === '1' || stream === 'true') return true;
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Switch the response into an SSE stream.
+ *
+ * Returns an object with:
+ * - `onText(text)` to forward a text delta as a `delta` event
+ * - `done(data)` to send the final `done` event and close the stream
+ * - `fail(body)` to send an `error` event and close the stream
+ * - `signal`, an AbortSignal that fires if the client disconnects
+ * - `failed`, set once the stream has been closed with an `error` event
+ *
+ * The stream is also exposed as `res.locals.eventStream` so server-level
+ * handlers (such as the request timeout) can close it cleanly.
+ */
+function openEventStream(req, res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  let closed = false;
+
+  function send(event, data) {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const lifetime = setTimeout(() => {
+    finish('error', {
+      error: 'Stream timeout',
+      code: 'REQUEST_TIMEOUT',
+      retryable: true
+    });
+    controller.abort();
+  }, STREAM_TIMEOUT_MS);
+
+  function cleanup() {
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(lifetime);
+  }
+
+  function finish(event, data) {
+    if (closed) return;
+    send(event, data);
+    if (event === 'error') stream.failed = true;
+    cleanup();
+    res.end();
+  }
+
+  // Client went away before we finished: stop generating
+  res.on('close', () => {
+    if (!closed) {
+      cleanup();
+      controller.abort();
+    }
+  });
+
+  const stream = {
+    signal: controller.signal,
+    onText: (text) => send('delta', { text }),
+    done: (data) => finish('done', data),
+    fail: (body) => finish('error', body),
+    failed: false
+  };
+
+  res.locals.eventStream = stream;
+  return stream;
+}
+
+module.exports = {
+  wantsEventStream,
+  openEventStream
+};
@@ -0,0 +1,187 @@
+// Renders /api/openapi.json as a browsable page and lets you try each route.
+// No dependencies, so the page works without any CDN.
+(function () {
+  const METHODS = ['get', 'post', 'patch', 'delete'];
+  let spec;
+
+  function el(tag, attributes, ...children) {
+    const node = document.createElement(tag);
+    for (const [name, value] of Object.entries(attributes || {})) {
+      if (value !== undefined) node.setAttribute(name, value);
+    }
+    for (const child of children.flat()) {
+      if (child !== null && child !== undefined) {
+        node.append(typeof child === 'string' ? document.createTextNode(child) : child);
+      }
+    }
+    return node;
+  }
+
+  function resolve(schema) {
+    if (schema && schema.$ref) {
+      return spec.components.schemas[schema.$ref.split('/').pop()];
+    }
+    return schema || {};
+  }
+
+  function typeLabel(schema) {
+    const resolved = resolve(schema);
+    if (schema && schema.$ref) return schema.$ref.split('/').pop();
+    if (resolved.const !== undefined) return JSON.stringify(resolved.const);
+    if (resolved.oneOf) return [...new Set(resolved.oneOf.map(typeLabel))].join(' | ');
+    const type = [].concat(resolved.type || 'any').join(' | ');
+    if (resolved.type === 'array' && resolved.items) return `${typeLabel(resolved.items)}[]`;
+    return resolved.enum ? `${type} (${resolved.enum.join(', ')})` : type;
+  }
+
+  // Nested list of an object's properties (or an array's item properties).
+  // Alternatives (oneOf) are listed one after another.
+  function renderSchema(schema, depth = 0) {
+    let resolved = resolve(schema);
+    if (resolved.type === 'array' && resolved.items) resolved = resolve(resolved.items);
+    if (resolved.oneOf && !resolved.properties && depth <= 4) {
+      return el('ul', { class: 'schema' }, resolved.oneOf.map(branch => el('li', null,
+        el('em', null, 'One of: '),
+        resolve(branch).description || typeLabel(branch),
+        renderSchema(branch, depth + 1)
+      )));
+    }
+    if (!resolved.properties || depth > 4) return null;
+
+    const required = resolved.required || [];
+    return el('ul', { class: 'schema' }, Object.entries(resolved.properties).map(([name, property]) => el('li', null,
+      el('code', null, name),
+      required.includes(name) ? el('span', { class: 'required' }, ' *') : null,
+      ' ',
+      el('span', { class: 'type' }, typeLabel(property)),
+      resolve(property).description ? ` - ${resolve(property).description}` : null,
+      renderSchema(property, depth + 1)
+    )));
+  }
+
+  // A small example value built from a schema, for the request editor
+  function example(schema, depth = 0) {
+    const resolved = resolve(schema);
+    if (resolved.default !== undefined) return resolved.default;
+    if (resolved.const !== undefined) return resolved.const;
+    if (resolved.enum) return resolved.enum[0];
+    if (resolved.oneOf && !resolved.properties) return example(resolved.oneOf[0], depth);
+    switch ([].concat(resolved.type)[0]) {
+      case 'object': {
+        // An object may list alternative required fields, e.g. transcript or segments
+        const value = {};
+        const required = (resolved.required || []).concat(resolved.oneOf ? resolved.oneOf[0].required || [] : []);
+        for (const name of required) {
+          value[name] = depth > 3 ? {} : example(resolved.properties[name], depth + 1);
+        }
+        return value;
+      }
+      case 'array': return resolved.items ? [example(resolved.items, depth + 1)] : [];
+      case 'integer':
+      case 'number': return resolved.minimum || 0;
+      case 'boolean': return false;
+      default: return '';
+    }
+  }
+
+  // Form that sends the request with the keys from the header
+  function tryIt(path, method, operation) {
+    const parameters = (operation.parameters || []).filter(p => p.in === 'path' || p.in === 'query');
+    const inputs = parameters.map(p => el('input', { placeholder: p.name, 'data-in': p.in, 'data-name': p.name }));
+    const bodySchema = operation.requestBody && operation.requestBody.content['application/json'];
+    const body = bodySchema
+      ? el('textarea', null, JSON.stringify(example(bodySchema.schema), null, 2))
+      : null;
+    const output = el('pre', { hidden: '' });
+    const button = el('button', { type: 'button' }, 'Send');
+
+    button.addEventListener('click', async () => {
+      let url = path;
+      const query = new URLSearchParams();
+      for (const input of inputs) {
+        if (input.dataset.in === 'path') url = url.replace(`{${input.dataset.name}}`, encodeURIComponent(input.value));
+        else if (input.value) query.set(input.dataset.name, input.value);
+      }
+      if (query.toString()) url += `?${query}`;
+
+      const headers = { 'Content-Type': 'application/json' };
+      const apiKey = document.getElementById('api-key').value;
+      const adminKey = document.getElementById('admin-key').value;
+      if (apiKey) headers['x-api-key'] = apiKey;
+      if (adminKey) headers['x-admin-key'] = adminKey;
+
+      output.hidden = false;
+      output.textContent = 'Sending…';
+      try {
+        const response = await fetch(url, { method: method.toUpperCase(), headers, body: body ? body.value : undefined });
+        const text = await response.text();
+        let pretty = text;
+        try { pretty = JSON.stringify(JSON.parse(text), null, 2); } catch (e) { /* not JSON */ }
+        output.textContent = `${response.status} ${response.statusText}\n\n${pretty}`;
+      } catch (error) {
+        output.textContent = error.message;
+      }
+    });
+
+    return el('div', null, el('h4', null, 'Try it'), inputs, body, button, output);
+  }
+
+  function renderOperation(path, method, operation) {
+    const parameters = operation.parameters || [];
+    const bodySchema = operation.requestBody && operation.requestBody.content['application/json'];
+
+    return el('details', null,
+      el('summary', null, el('span', { class: `method ${method}` }, method), el('code', null, path), ` - ${operation.summary || ''}`),
+      el('div', null,
+        operation.security ? el('p', null, `Requires the ${Object.keys(operation.security[0])[0] === 'adminKey' ? 'x-admin-key' : 'x-api-key'} header.`) : null,
+        parameters.length ? el('h4', null, 'Parameters') : null,
+        parameters.length ? el('ul', { class: 'schema' }, parameters.map(p => el('li', null,
+          el('code', null, p.name), ` (${p.in}) `, el('span', { class: 'type' }, typeLabel(p.schema)), p.description ? ` - ${p.description}` : null
+        ))) : null,
+        bodySchema ? el('h4', null, 'Request body') : null,
+        bodySchema ? renderSchema(bodySchema.schema) : null,
+        el('h4', null, 'Responses'),
+        el('ul', { class: 'schema' }, Object.entries(operation.responses).map(([status, response]) => {
+          const content = response.content && response.content['application/json'];
+          return el('li', null,
+            el('strong', null, status), ` ${response.description}`,
+            response.content && response.content['text/event-stream'] ? ' (JSON, or an event stream)' : null,
+            content ? renderSchema(content.schema) : null
+          );
+        })),
+        tryIt(path, method, operation)
+      )
+    );
+  }
+
+  function render() {
+    document.getElementById('title').textContent = `${spec.info.title} ${spec.info.version}`;
+    document.getElementById('description').textContent = spec.info.description || '';
+
+    // Group operations by their first tag
+    const groups = {};
+    for (const [path, item] of Object.entries(spec.paths)) {
+      for (const method of METHODS) {
+        if (!item[method]) continue;
+        const tag = (item[method].tags || ['Other'])[0];
+        (groups[tag] = groups[tag] || []).push(renderOperation(path, method, item[method]));
+      }
+    }
+
+    const main = document.getElementById('operations');
+    main.textContent = '';
+    for (const [tag, operations] of Object.entries(groups)) {
+      main.append(el('h2', null, tag), ...operations);
+    }
+  }
+
+  fetch('../openapi.json')
+    .then(response => response.json())
+    .then(openapi => {
+      spec = openapi;
+      render();
+    })
+    .catch(error => {
+      document.getElementById('operations').textContent = `Failed to load the API spec: ${error.message}`;
+    });
+})();
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const {
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  rotateApiKey,
+  LEGACY_KEY_ID
+} = require('../services/apiKeys');
+const { getKeyMetrics, getAllMetrics } = require('../services/metrics');
+const { getUsage } = require('../services/usage');
+const { getTokenQuota } = require('../services/quotas');
+const { listPlans } = require('../services/plans');
+const { describeModels } = require('../services/providers');
+const { describeError, isClientError, ValidationError } = require('../services/errors');
+
+// Helper to handle errors and return appropriate response
+function handleError(error, res, operation) {
+  if (!isClientError(error)) {
+    console.error(`${operation} error:`, error);
+  }
+
+  const { statusCode, body } = describeError(error, operation);
+  return res.status(statusCode).json(body);
+}
+
+// Respond with 404 when a key ID is unknown
+function keyNotFound(res) {
+  return res.status(404).json({
+    error: 'API key not found',
+    code: 'NOT_FOUND'
+  });
+}
+
+// Apply admin auth middleware to all routes
+router.use(adminAuth);
+
+// GET /keys - All keys (metadata only, never the key itself)
+router.get('/keys', async (req, res) => {
+  try {
+    res.json({ keys: await listApiKeys() });
+  } catch (error) {
+    return handleError(error, res, 'list API keys');
+  }
+});
+
+// POST /keys - Create a key; the plaintext key is only returned here
+router.post('/keys', async (req, res) => {
+  try {
+    const { name, owner, scopes, plan, limits, qualityTiers, expiresAt } = req.body;
+    const { key, apiKey } = await createApiKey({ name, owner, scopes, plan, limits, qualityTiers, expiresAt });
+
+    res.status(201).json({ key, apiKey });
+  } catch (error) {
+    return handleError(error, res, 'create API key');
+  }
+});
+
+// GET /keys/:id - Key metadata, this month's token quota and metrics since startup
+router.get('/keys/:id', async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+    if (!apiKey) return keyNotFound(res);
+
+    res.json({
+      apiKey,
+      quota: await getTokenQuota(apiKey),
+      metrics: getKeyMetrics(apiKey.id)
+    });
+  } catch (error) {
+    return handleError(error, res, 'fetch API key');
+  }
+});
+
+// GET /keys/:id/usage?from=&to= - Token usage ledger for one key
+// (including "legacy" for requests made with API_SECRET_KEY)
+router.get('/keys/:id/usage', async (req, res) => {
+  try {
+    if (req.params.id !== LEGACY_KEY_ID && !await getApiKey(req.params.id)) {
+      return keyNotFound(res);
+    }
+
+    const { from, to } = req.query;
+    res.json({ usage: await getUsage(req.params.id, { from, to }) });
+  } catch (error) {
+    return handleError(error, res, 'fetch usage');
+  }
+});
+
+// PATCH /keys/:id - Change name, owner, scopes, plan, limits or expiry
+router.patch('/keys/:id', async (req, res) => {
+  try {
+    const { name, owner, scopes, plan, limits, qualityTiers, expiresAt } = req.body;
+    const apiKey = await updateApiKey(req.params.id, { name, owner, scopes, plan, limits, qualityTiers, expiresAt });
+    if (!apiKey) return keyNotFound(res);
+
+    res.json({ apiKey });
+  } catch (error) {
+    return handleError(error, res, 'update API key');
+  }
+});
+
+// POST /keys/:id/revoke - Stop accepting a key immediately
+router.post('/keys/:id/revoke', async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+    if (!apiKey) return keyNotFound(res);
+
+    res.json({ apiKey });
+  } catch (error) {
+    return handleError(error, res, 'revoke API key');
+  }
+});
+
+// POST /keys/:id/rotate - Issue a replacement; the old key keeps working
+// for gracePeriodHours (default 24)
+router.post('/keys/:id/rotate', async (req, res) => {
+  try {
+    const { gracePeriodHours } = req.body;
+    const options = {};
+    if (gracePeriodHours !== undefined) {
+      if (typeof gracePeriodHours !== 'number' || !(gracePeriodHours >= 0)) {
+        throw new ValidationError('gracePeriodHours must be a non-negative number');
+      }
+      options.gracePeriodMs = gracePeriodHours * 60 * 60 * 1000;
+    }
+
+    const result = await rotateApiKey(req.params.id, options);
+    if (!result) return keyNotFound(res);
+
+    res.status(201).json(result);
+  } catch (error) {
+    return handleError(error, res, 'rotate API key');
+  }
+});
+
+// GET /plans - Plan tiers and their limits
+router.get('/plans', (req, res) => {
+  res.json({ plans: listPlans() });
+});
+
+// GET /models - Quality tiers, per-endpoint models and the model allowlist
+router.get('/models', (req, res) => {
+  res.json(describeModels());
+});
+
+// GET /metrics - Request counts, error rates and token usage for every key
+router.get('/metrics', (req, res) => {
+  res.json(getAllMetrics());
+});
+
+module.exports = router;
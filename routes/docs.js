@@ -0,0 +1,16 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { getOpenApiDocument } = require('../services/openapi');
+
+// The spec and the docs page describe the public API, so no API key is needed
+
+// GET /openapi.json - OpenAPI 3.1 document
+router.get('/openapi.json', (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+// /docs/ - Interactive docs page rendered from /api/openapi.json
+router.use('/docs', express.static(path.join(__dirname, '..', 'public', 'docs')));
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { keyRateLimit } = require('../middleware/quotas');
+const idempotency = require('../middleware/idempotency');
+const { recordReviews, listDueCards } = require('../services/reviews');
+const { assertScopes } = require('../services/apiKeys');
+const { describeError, isClientError } = require('../services/errors');
+
+// Helper to handle errors and return appropriate response
+function handleError(error, res, operation) {
+  if (!isClientError(error)) {
+    console.error(`${operation} error:`, error);
+  }
+
+  const { statusCode, body } = describeError(error, operation);
+  return res.status(statusCode).json(body);
+}
+
+// Review state belongs to the key, or to a user of the key when given
+function userIdFrom(value) {
+  return value === undefined ? null : value;
+}
+
+// Apply auth middleware to the review routes only; POST /api/flashcards
+// itself is served by the operation routes
+router.use(['/review', '/due'], auth, keyRateLimit);
+
+// POST /review - Record recall grades and schedule each card's next review
+router.post('/review', idempotency, async (req, res) => {
+  try {
+    assertScopes(req.apiKey, ['flashcards']);
+    const { deck, reviews } = req.body;
+    const cards = await recordReviews({ keyId: req.apiKey.id, userId: userIdFrom(req.body.userId), deck, reviews });
+    res.json({ deck, cards });
+  } catch (error) {
+    return handleError(error, res, 'record reviews');
+  }
+});
+
+// GET /due?deck=&userId=&limit= - Cards due for review now, most overdue first
+router.get('/due', async (req, res) => {
+  try {
+    assertScopes(req.apiKey, ['flashcards']);
+    const { deck, limit } = req.query;
+    res.json(await listDueCards({ keyId: req.apiKey.id, userId: userIdFrom(req.query.userId), deck, limit }));
+  } catch (error) {
+    return handleError(error, res, 'list due cards');
+  }
+});
+
+module.exports = router;
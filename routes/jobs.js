@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { keyRateLimit, tokenQuota } = require('../middleware/quotas');
+const idempotency = require('../middleware/idempotency');
+const { getOperation, requiredScopes } = require('../services/operations');
+const { createJob, getJob, cancelJob } = require('../services/jobs');
+const { describeError, isClientError, ValidationError } = require('../services/errors');
+const { createCallback } = require('../services/webhooks');
+const { assertScopes, chooseQuality } = require('../services/apiKeys');
+const { wantsFreshResult } = require('../services/cache');
+
+// Helper to handle errors and return appropriate response
+function handleError(error, res, operation) {
+  if (!isClientError(error)) {
+    console.error(`${operation} error:`, error);
+  }
+
+  const { statusCode, body } = describeError(error, operation);
+  return res.status(statusCode).json(body);
+}
+
+// Fetch a job only if it belongs to the calling API key
+async function getOwnJob(req) {
+  const job = await getJob(req.params.id);
+  return job && job.keyId === req.apiKey.id ? job : null;
+}
+
+// Respond with 404 when a job ID is unknown, expired, or owned by another key
+function jobNotFound(res) {
+  return res.status(404).json({
+    error: 'Job not found',
+    code: 'NOT_FOUND'
+  });
+}
+
+// Apply auth middleware to all routes
+router.use(auth);
+router.use(keyRateLimit);
+
+// POST / - Queue an operation and return its job ID immediately
+router.post('/', idempotency, tokenQuota, async (req, res) => {
+  try {
+    const { operation: operationName, body } = req.body;
+
+    if (!operationName || typeof operationName !== 'string') {
+      throw new ValidationError('Operation is required');
+    }
+    const operation = getOperation(operationName);
+    if (!operation) {
+      throw new ValidationError(`Unknown operation '${operationName}'`);
+    }
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+      throw new ValidationError('Body must be an object with the operation\'s request fields');
+    }
+
+    // Validate now so bad input is rejected up front, not when the job runs
+    const input = operation.input(body);
+    assertScopes(req.apiKey, requiredScopes(operationName, input));
+    const quality = chooseQuality(req.apiKey, operationName, body.quality);
+
+    const callback = req.body.callbackUrl !== undefined
+      ? createCallback(req.body.callbackUrl, req.headers['x-api-key'])
+      : undefined;
+
+    const job = await createJob(operationName, input, {
+      requestId: req.requestId,
+      keyId: req.apiKey.id,
+      callback,
+      quality: quality || undefined,
+      refreshCache: wantsFreshResult(req.headers) || undefined
+    });
+
+    res.status(202).location(`${req.baseUrl}/${job.id}`).json({ job });
+  } catch (error) {
+    return handleError(error, res, 'create job');
+  }
+});
+
+// GET /:id - Job status, progress and (once finished) result or error
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getOwnJob(req);
+    if (!job) return jobNotFound(res);
+
+    res.json({ job });
+  } catch (error) {
+    return handleError(error, res, 'fetch job');
+  }
+});
+
+// DELETE /:id - Cancel a queued or running job
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!await getOwnJob(req)) return jobNotFound(res);
+
+    const job = await cancelJob(req.params.id);
+    if (!job) return jobNotFound(res);
+
+    res.json({ job });
+  } catch (error) {
+    return handleError(error, res, 'cancel job');
+  }
+});
+
+module.exports = router;
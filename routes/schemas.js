@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { listSchemas, schemaDocument } = require('../services/schemas');
+
+// Schemas describe the public response format, so no API key is needed
+
+// GET / - Every structured response schema, keyed by name
+router.get('/', (req, res) => {
+  res.json({
+    schemas: Object.fromEntries(listSchemas().map(name => [name, schemaDocument(name)]))
+  });
+});
+
+// GET /:name - One JSON Schema document, e.g. /api/schemas/quiz
+router.get('/:name', (req, res) => {
+  const schema = schemaDocument(req.params.name);
+  if (!schema) {
+    return res.status(404).json({
+      error: 'Schema not found',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  res.json(schema);
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { keyRateLimit } = require('../middleware/quotas');
+const { getUsage } = require('../services/usage');
+const { getTokenQuota } = require('../services/quotas');
+const { describeError, isClientError } = require('../services/errors');
+
+// Helper to handle errors and return appropriate response
+function handleError(error, res, operation) {
+  if (!isClientError(error)) {
+    console.error(`${operation} error:`, error);
+  }
+
+  const { statusCode, body } = describeError(error, operation);
+  return res.status(statusCode).json(body);
+}
+
+// Apply auth middleware to all routes
+router.use(auth);
+router.use(keyRateLimit);
+
+// GET /?from=YYYY-MM-DD&to=YYYY-MM-DD - Token usage and estimated cost for
+// the calling API key, per endpoint and per day, plus this month's quota
+router.get('/', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json({
+      usage: await getUsage(req.apiKey.id, { from, to }),
+      quota: await getTokenQuota(req.apiKey)
+    });
+  } catch (error) {
+    return handleError(error, res, 'fetch usage');
+  }
+});
+
+module.exports = router;
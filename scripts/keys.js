@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Manage VoiceSnap API keys from the command line
+ *
+ * Usage:
+ *   npm run keys -- create <name> [--owner <owner>] [--scopes summary,notes] [--plan pro] [--tiers fast,balanced] [--expires <ISO date>]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id>
+ *   npm run keys -- rotate <id> [--grace-hours <hours>]
+ *
+ * Uses the same KEY_STORE / DATA_DIR settings as the server.
+ */
+
+const {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey
+} = require('../services/apiKeys');
+
+// Split argv into positional arguments and --flag values
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      flags[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+async function main() {
+  const { positional: [command, arg], flags } = parseArgs(process.argv.slice(2));
+
+  switch (command) {
+    case 'create': {
+      const { key, apiKey } = await createApiKey({
+        name: arg,
+        owner: flags.owner,
+        scopes: flags.scopes ? flags.scopes.split(',') : undefined,
+        plan: flags.plan,
+        qualityTiers: flags.tiers ? flags.tiers.split(',') : undefined,
+        expiresAt: flags.expires
+      });
+      console.log(JSON.stringify(apiKey, null, 2));
+      console.log(`\nAPI key (shown once): ${key}`);
+      break;
+    }
+
+    case 'list':
+      console.log(JSON.stringify(await listApiKeys(), null, 2));
+      break;
+
+    case 'revoke': {
+      const apiKey = await revokeApiKey(arg);
+      if (!apiKey) throw new Error(`Key not found: ${arg}`);
+      console.log(JSON.stringify(apiKey, null, 2));
+      break;
+    }
+
+    case 'rotate': {
+      const options = flags['grace-hours'] !== undefined
+        ? { gracePeriodMs: Number(flags['grace-hours']) * 60 * 60 * 1000 }
+        : {};
+      const result = await rotateApiKey(arg, options);
+      if (!result) throw new Error(`Key not found: ${arg}`);
+      console.log(JSON.stringify({ previous: result.previous, apiKey: result.apiKey }, null, 2));
+      console.log(`\nNew API key (shown once): ${result.key}`);
+      break;
+    }
+
+    default:
+      console.error('Usage: npm run keys -- <create|list|revoke|rotate> [args]');
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -3,20 +3,33 @@ const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const apiRoutes = require('./routes/api');
+const jobRoutes = require('./routes/jobs');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
+const flashcardRoutes = require('./routes/flashcards');
+const schemaRoutes = require('./routes/schemas');
+const docsRoutes = require('./routes/docs');
 const { requestLogger, errorLogger } = require('./middleware/logger');
+const { configuredProviders, LLM_MODE } = require('./services/providers');
+const { registeredRoutes, assertRoutesDocumented } = require('./services/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const REQUEST_TIMEOUT_MS = 90000; // 90 seconds (longer than Claude's 60s timeout)
 
 // Validate required environment variables on startup
-if (!process.env.ANTHROPIC_API_KEY) {
+if (configuredProviders().includes('anthropic') && !process.env.ANTHROPIC_API_KEY) {
   console.error('ERROR: ANTHROPIC_API_KEY environment variable is required');
   process.exit(1);
 }
 if (!process.env.API_SECRET_KEY) {
-  console.error('ERROR: API_SECRET_KEY environment variable is required');
-  process.exit(1);
+  console.warn('WARNING: API_SECRET_KEY is not set. Only keys from the key store (npm run keys) will be accepted.');
+}
+if (!process.env.ADMIN_SECRET_KEY) {
+  console.warn('WARNING: ADMIN_SECRET_KEY is not set. The /admin API is disabled.');
+}
+if (LLM_MODE) {
+  console.warn(`WARNING: LLM_MODE=${LLM_MODE}. Responses are ${LLM_MODE === 'record' ? 'recorded as fixtures' : 'not generated by a live model'}.`);
 }
 
 // Security headers
@@ -37,14 +50,20 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'x-api-key']
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Cache-Control', 'Idempotency-Key', 'x-api-key', 'x-admin-key'],
+  exposedHeaders: ['X-Request-ID', 'X-Tokens-Input', 'X-Tokens-Output', 'X-Cache', 'X-Model', 'Idempotent-Replayed']
 }));
 
-// Rate limiting - prevent abuse
+// Per-IP rate limiting - prevents abuse before a key is checked. Per-key
+// limits from each key's plan are applied after auth (middleware/quotas.js),
+// so these are set high enough not to punish clients behind a shared NAT.
+const IP_RATE_LIMIT = parseInt(process.env.IP_RATE_LIMIT, 10) || 1000;
+const IP_AI_RATE_LIMIT = parseInt(process.env.IP_AI_RATE_LIMIT, 10) || 300;
+
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: IP_RATE_LIMIT, // limit each IP to IP_RATE_LIMIT requests per windowMs
   message: { error: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false
@@ -53,7 +72,7 @@ const apiLimiter = rateLimit({
 // Stricter rate limit for AI endpoints (expensive operations)
 const aiLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 10, // limit each IP to 10 AI requests per minute
+  max: IP_AI_RATE_LIMIT, // limit each IP to IP_AI_RATE_LIMIT AI requests per minute
   message: { error: 'Too many AI requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false
@@ -61,27 +80,42 @@ const aiLimiter = rateLimit({
 
 // Apply rate limiters
 app.use('/api', apiLimiter);
+app.use('/admin', apiLimiter);
 
 // Apply stricter rate limit to AI endpoints (expensive Claude API calls)
 const aiEndpoints = [
   '/api/summary', '/api/bullets', '/api/notes', '/api/flashcards',
-  '/api/quiz', '/api/action-items', '/api/highlights', '/api/chat',
+  '/api/quiz', '/api/quiz/grade', '/api/action-items', '/api/highlights', '/api/chapters', '/api/speakers', '/api/chat',
   '/api/paraphrase', '/api/translate', '/api/faq', '/api/mindmap',
-  '/api/punctuation', '/api/formal', '/api/casual'
+  '/api/punctuation', '/api/formal', '/api/casual', '/api/subtitles', '/api/batch'
 ];
+// POST only, so routes below these paths (e.g. /api/flashcards/due) are not counted
 aiEndpoints.forEach(endpoint => {
-  app.use(endpoint, aiLimiter);
+  app.post(endpoint, aiLimiter);
 });
 
+// Submitting a job is as expensive as calling the endpoint directly;
+// polling for its status is not
+app.post('/api/jobs', aiLimiter);
+
 // Request timeout middleware - prevent slow loris attacks
+// The timeout is measured from the last socket activity, so SSE streams stay
+// open as long as they keep sending deltas or heartbeats.
 app.use((req, res, next) => {
   req.setTimeout(REQUEST_TIMEOUT_MS, () => {
-    if (!res.headersSent) {
-      res.status(408).json({
-        error: 'Request timeout',
-        code: 'REQUEST_TIMEOUT',
-        retryable: true
-      });
+    const timeoutError = {
+      error: 'Request timeout',
+      code: 'REQUEST_TIMEOUT',
+      retryable: true
+    };
+
+    if (res.locals.eventStream) {
+      // Headers are already sent on a stream, so close it with an error event
+      res.locals.eventStream.fail(timeoutError);
+    } else if (!res.headersSent) {
+      // Lets middleware/idempotency.js keep the late result for a retry
+      res.locals.timedOut = true;
+      res.status(408).json(timeoutError);
     }
   });
   res.setTimeout(REQUEST_TIMEOUT_MS);
@@ -103,8 +137,25 @@ app.get('/', (req, res) => {
   });
 });
 
-// API routes
-app.use('/api', apiRoutes);
+// API routes, then admin routes (key management and metrics, requires
+// ADMIN_SECRET_KEY)
+const routers = {
+  '/api/jobs': jobRoutes,
+  '/api/usage': usageRoutes,
+  '/api/schemas': schemaRoutes,
+  '/api/flashcards': flashcardRoutes,
+  '/api': [docsRoutes, apiRoutes],
+  '/admin': adminRoutes
+};
+for (const [path, mounted] of Object.entries(routers)) {
+  app.use(path, mounted);
+}
+
+// Refuse to start with a route the OpenAPI spec doesn't describe
+assertRoutesDocumented([
+  ...registeredRoutes(app._router),
+  ...Object.entries(routers).flatMap(([path, mounted]) => [].concat(mounted).flatMap(router => registeredRoutes(router, path)))
+]);
 
 // Error logging middleware (must be before error handler)
 app.use(errorLogger);
@@ -0,0 +1,396 @@
+/**
+ * API key store for VoiceSnap API
+ *
+ * Keys look like `vs_<id>_<secret>`. Only a SHA-256 hash of the full key is
+ * stored, so a leaked store does not leak usable keys. Records are kept in a
+ * pluggable store (KEY_STORE=file|memory|sqlite, JSON files by default).
+ *
+ * Key record fields:
+ * - `id`: public identifier, also embedded in the key itself
+ * - `name` / `owner`: who the key belongs to
+ * - `scopes`: operation names the key may call (`*` for all)
+ * - `plan`: plan tier (free, pro, team, ...) that sets the key's limits
+ * - `limits`: per-key overrides of the plan's `requestsPerMinute` and
+ *   `tokensPerMonth` (null = use the plan's value)
+ * - `qualityTiers`: quality tiers (fast, balanced, best) the key may use
+ *   (null = all)
+ * - `createdAt`, `expiresAt` (null = never), `revoked`, `revokedAt`
+ *
+ * The legacy API_SECRET_KEY, if set, is still accepted as a key with all
+ * scopes so existing clients keep working while they migrate.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const { OperationError, ValidationError, ErrorCodes } = require('./errors');
+const { getOperation } = require('./operations');
+const { getPlan, listPlans, DEFAULT_PLAN } = require('./plans');
+const { QUALITY_TIERS, defaultQuality } = require('./providers');
+
+const KEY_PREFIX = 'vs';
+const LEGACY_KEY_ID = 'legacy';
+const ALL_SCOPES = '*';
+const LIMIT_NAMES = ['requestsPerMinute', 'tokensPerMonth'];
+
+const store = createStore('keys', process.env.KEY_STORE || 'file');
+
+// Hash a raw API key for storage and comparison
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+// Constant-time comparison of two hex digests
+function digestsEqual(a, b) {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Metadata attached to requests as req.apiKey (never includes the hash)
+function toPublicKey(record) {
+  const { hash, ...publicKey } = record;
+  return publicKey;
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new ValidationError('Key name is required');
+  }
+}
+
+function validateOwner(owner) {
+  if (owner !== null && typeof owner !== 'string') {
+    throw new ValidationError('Key owner must be a string');
+  }
+}
+
+// Validate a scopes list: operation names, or ['*'] for everything
+function validateScopes(scopes) {
+  if (scopes === undefined) return [ALL_SCOPES];
+  if (!Array.isArray(scopes) || scopes.length === 0 ||
+      scopes.some(scope => typeof scope !== 'string' || scope.trim() === '')) {
+    throw new ValidationError('Scopes must be a non-empty array of operation names');
+  }
+
+  const normalized = [...new Set(scopes.map(scope => scope.trim()))];
+  const unknown = normalized.filter(scope => scope !== ALL_SCOPES && !getOperation(scope));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown scopes: ${unknown.join(', ')}`);
+  }
+  return normalized;
+}
+
+// Validate per-key limits; every limit is a positive integer or null
+function validateLimits(limits) {
+  if (limits === undefined) return { requestsPerMinute: null, tokensPerMonth: null };
+  if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+    throw new ValidationError('Limits must be an object');
+  }
+
+  const unknown = Object.keys(limits).filter(name => !LIMIT_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown limits: ${unknown.join(', ')}`);
+  }
+
+  const validated = {};
+  for (const name of LIMIT_NAMES) {
+    const value = limits[name] === undefined ? null : limits[name];
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      throw new ValidationError(`${name} must be a positive integer or null`);
+    }
+    validated[name] = value;
+  }
+  return validated;
+}
+
+// Validate the quality tiers a key may use; null means all of them
+function validateQualityTiers(tiers) {
+  if (tiers === undefined || tiers === null) return null;
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.some(tier => !QUALITY_TIERS.includes(tier))) {
+    throw new ValidationError(`qualityTiers must be null or a non-empty array of: ${QUALITY_TIERS.join(', ')}`);
+  }
+  return QUALITY_TIERS.filter(tier => tiers.includes(tier));
+}
+
+// Validate a plan name, defaulting to DEFAULT_PLAN
+function validatePlan(plan) {
+  if (plan === undefined) return DEFAULT_PLAN;
+  if (typeof plan !== 'string' || !getPlan(plan)) {
+    throw new ValidationError(`Unknown plan. Use one of: ${Object.keys(listPlans()).join(', ')}`);
+  }
+  return plan;
+}
+
+// Validate an optional expiry date, returning an ISO string or null
+function validateExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null) return null;
+  const time = Date.parse(expiresAt);
+  if (Number.isNaN(time)) {
+    throw new ValidationError('expiresAt must be an ISO 8601 date');
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Create a new API key. The plaintext key is returned once and never stored.
+ *
+ * @param {object} options
+ * @param {string} options.name - Human-readable label
+ * @param {string} [options.owner] - Customer or team the key belongs to
+ * @param {string[]} [options.scopes] - Operation names, defaults to all
+ * @param {string} [options.plan] - Plan tier, defaults to DEFAULT_PLAN
+ * @param {object} [options.limits] - Overrides, e.g. { requestsPerMinute: 60 }
+ * @param {string[]} [options.qualityTiers] - Quality tiers the key may use, defaults to all
+ * @param {string} [options.expiresAt] - ISO date after which the key stops working
+ * @returns {Promise<{key: string, apiKey: object}>}
+ */
+async function createApiKey({ name, owner = null, scopes, plan, limits, qualityTiers, expiresAt } = {}) {
+  validateName(name);
+  validateOwner(owner);
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}_${id}_${secret}`;
+
+  const record = {
+    id,
+    name: name.trim(),
+    owner,
+    scopes: validateScopes(scopes),
+    plan: validatePlan(plan),
+    limits: validateLimits(limits),
+    qualityTiers: validateQualityTiers(qualityTiers),
+    createdAt: new Date().toISOString(),
+    expiresAt: validateExpiry(expiresAt),
+    revoked: false,
+    revokedAt: null,
+    hash: hashKey(key)
+  };
+
+  await store.set(id, record);
+  return { key, apiKey: toPublicKey(record) };
+}
+
+// Pull the key ID out of a `vs_<id>_<secret>` key
+function parseKeyId(rawKey) {
+  const match = /^vs_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(rawKey);
+  return match ? match[1] : null;
+}
+
+// Accept the legacy shared API_SECRET_KEY as an all-scopes key
+function verifyLegacyKey(rawKey) {
+  const expectedKey = process.env.API_SECRET_KEY;
+  if (!expectedKey) return null;
+
+  if (!digestsEqual(hashKey(rawKey), hashKey(expectedKey))) return null;
+
+  return {
+    id: LEGACY_KEY_ID,
+    name: 'API_SECRET_KEY',
+    owner: null,
+    scopes: [ALL_SCOPES],
+    plan: null, // Not subject to plan limits
+    limits: { requestsPerMinute: null, tokensPerMonth: null },
+    qualityTiers: null,
+    createdAt: null,
+    expiresAt: null,
+    revoked: false,
+    revokedAt: null
+  };
+}
+
+/**
+ * Check a raw API key.
+ *
+ * @returns {Promise<{apiKey: object}|{error: string}>} Public key metadata,
+ *   or the reason the key was rejected
+ */
+async function verifyApiKey(rawKey) {
+  if (typeof rawKey !== 'string' || rawKey === '') {
+    return { error: 'Invalid API key' };
+  }
+
+  const id = parseKeyId(rawKey);
+  if (!id) {
+    const legacy = verifyLegacyKey(rawKey);
+    return legacy ? { apiKey: legacy } : { error: 'Invalid API key' };
+  }
+
+  const record = await store.get(id);
+  if (!record || !digestsEqual(hashKey(rawKey), record.hash)) {
+    return { error: 'Invalid API key' };
+  }
+  if (record.revoked) {
+    return { error: 'API key revoked' };
+  }
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+    return { error: 'API key expired' };
+  }
+
+  return { apiKey: toPublicKey(record) };
+}
+
+// Fetch one key's metadata by ID, or null
+async function getApiKey(id) {
+  const record = await store.get(id);
+  return record ? toPublicKey(record) : null;
+}
+
+// List all keys (metadata only), oldest first
+async function listApiKeys() {
+  const entries = await store.entries();
+  return entries
+    .map(([, record]) => toPublicKey(record))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Apply changes to a stored key record; returns public metadata or null
+async function saveChanges(id, changes) {
+  const record = await store.get(id);
+  if (!record) return null;
+
+  const updated = { ...record, ...changes };
+  await store.set(id, updated);
+  return toPublicKey(updated);
+}
+
+/**
+ * Change a key's settings. Only the fields present in `fields` are updated.
+ *
+ * @param {string} id
+ * @param {object} fields - Any of name, owner, scopes, plan, limits, qualityTiers, expiresAt
+ * @returns {Promise<object|null>} Public key metadata, or null if not found
+ */
+async function updateApiKey(id, fields) {
+  const changes = {};
+  if (fields.name !== undefined) {
+    validateName(fields.name);
+    changes.name = fields.name.trim();
+  }
+  if (fields.owner !== undefined) {
+    validateOwner(fields.owner);
+    changes.owner = fields.owner;
+  }
+  if (fields.scopes !== undefined) changes.scopes = validateScopes(fields.scopes);
+  if (fields.plan !== undefined) changes.plan = validatePlan(fields.plan);
+  if (fields.limits !== undefined) changes.limits = validateLimits(fields.limits);
+  if (fields.qualityTiers !== undefined) changes.qualityTiers = validateQualityTiers(fields.qualityTiers);
+  if (fields.expiresAt !== undefined) changes.expiresAt = validateExpiry(fields.expiresAt);
+
+  if (Object.keys(changes).length === 0) {
+    throw new ValidationError('Nothing to update');
+  }
+  return saveChanges(id, changes);
+}
+
+// Revoke a key immediately
+async function revokeApiKey(id) {
+  return saveChanges(id, { revoked: true, revokedAt: new Date().toISOString() });
+}
+
+/**
+ * Rotate a key: create a replacement with the same name, owner, scopes, plan,
+ * limits and quality tiers, and let the old key keep working for `gracePeriodMs` so clients can
+ * switch over without downtime.
+ *
+ * @returns {Promise<{key: string, apiKey: object, previous: object}|null>}
+ */
+async function rotateApiKey(id, { gracePeriodMs = 24 * 60 * 60 * 1000 } = {}) {
+  const record = await store.get(id);
+  if (!record) return null;
+  if (record.revoked) {
+    throw new OperationError('Cannot rotate a revoked key', 'KEY_REVOKED', 409, false);
+  }
+
+  const { key, apiKey } = await createApiKey({
+    name: record.name,
+    owner: record.owner,
+    scopes: record.scopes,
+    plan: record.plan,
+    limits: record.limits,
+    qualityTiers: record.qualityTiers,
+    expiresAt: record.expiresAt || undefined
+  });
+
+  // Never extend an expiry that is already sooner than the grace period
+  const graceEnd = Date.now() + gracePeriodMs;
+  const currentExpiry = record.expiresAt ? Date.parse(record.expiresAt) : Infinity;
+  const previous = await saveChanges(id, {
+    expiresAt: new Date(Math.min(graceEnd, currentExpiry)).toISOString(),
+    rotatedTo: apiKey.id
+  });
+
+  return { key, apiKey, previous };
+}
+
+// Check whether a key may call an operation
+function hasScope(apiKey, operationName) {
+  return apiKey.scopes.includes(ALL_SCOPES) || apiKey.scopes.includes(operationName);
+}
+
+/**
+ * Throw a 403 error unless the key may call every operation in `names`.
+ */
+function assertScopes(apiKey, names) {
+  const missing = names.filter(name => !hasScope(apiKey, name));
+  if (missing.length > 0) {
+    throw new OperationError(
+      `API key is not allowed to call: ${missing.join(', ')}`,
+      ErrorCodes.FORBIDDEN,
+      403,
+      false
+    );
+  }
+}
+
+/**
+ * Quality tier for a request to `endpoint`. A tier the request asks for must
+ * be one the key may use (403 otherwise). Without one, the endpoint's default
+ * applies (null), unless the key may not use it; then the key gets the best
+ * tier it may use. An endpoint pinned to a provider and model in
+ * LLM_ENDPOINT_PROVIDERS has no default tier, and keeps its pin.
+ *
+ * @param {object} apiKey
+ * @param {string} endpoint - Operation name
+ * @param {string} [requested] - `quality` from the request body
+ * @returns {string|null}
+ */
+function chooseQuality(apiKey, endpoint, requested) {
+  const allowed = apiKey.qualityTiers || null;
+
+  if (requested !== undefined && requested !== null) {
+    if (!QUALITY_TIERS.includes(requested)) {
+      throw new ValidationError(`quality must be one of: ${QUALITY_TIERS.join(', ')}`);
+    }
+    if (allowed && !allowed.includes(requested)) {
+      throw new OperationError(
+        `API key is not allowed to use quality '${requested}'. Allowed: ${allowed.join(', ')}`,
+        ErrorCodes.FORBIDDEN,
+        403,
+        false
+      );
+    }
+    return requested;
+  }
+
+  const fallback = defaultQuality(endpoint);
+  if (!allowed || fallback === null || allowed.includes(fallback)) return null;
+  return allowed[allowed.length - 1];
+}
+
+module.exports = {
+  createApiKey,
+  verifyApiKey,
+  getApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  rotateApiKey,
+  hasScope,
+  assertScopes,
+  chooseQuality,
+  validateScopes,
+  validateLimits,
+  validateExpiry,
+  LEGACY_KEY_ID
+};
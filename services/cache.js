@@ -0,0 +1,132 @@
+/**
+ * Content-addressed response cache for AI operations
+ *
+ * Results are keyed by a SHA-256 hash of the operation name, its validated
+ * input (sanitized transcript plus every option), the operation's prompt
+ * version and the provider and model it runs on, so a cached result is only
+ * reused when the model would have been asked exactly the same thing.
+ *
+ * Entries expire after CACHE_TTL_MS and the least recently used entries are
+ * evicted beyond CACHE_MAX_ENTRIES. Values live in a pluggable store
+ * (CACHE_STORE=memory|file|sqlite, or `off` to disable caching); the LRU
+ * order is tracked in memory and rebuilt from a persistent store on startup.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const { resolveModel } = require('./claude');
+
+const CACHE_BACKEND = process.env.CACHE_STORE || 'memory';
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000;
+const CACHE_TTL_MS = parseInt(process.env.CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+const enabled = CACHE_BACKEND !== 'off';
+const store = enabled ? createStore('cache', CACHE_BACKEND) : null;
+
+// Cache key -> expiry time, in least to most recently used order
+const index = new Map();
+let indexReady;
+
+// Load the index from a persistent store once, oldest entries first
+function loadIndex() {
+  if (!indexReady) {
+    indexReady = store.entries().then((entries) => {
+      entries
+        .sort(([, a], [, b]) => a.storedAt - b.storedAt)
+        .forEach(([key, entry]) => index.set(key, entry.expiresAt));
+    }).catch((error) => {
+      // Try again on the next lookup
+      indexReady = null;
+      throw error;
+    });
+  }
+  return indexReady;
+}
+
+// Mark a key as most recently used
+function touch(key, expiresAt) {
+  index.delete(key);
+  index.set(key, expiresAt);
+}
+
+// Drop least recently used entries beyond the size limit
+async function evict() {
+  while (index.size > CACHE_MAX_ENTRIES) {
+    const oldest = index.keys().next().value;
+    index.delete(oldest);
+    await store.delete(oldest);
+  }
+}
+
+/**
+ * Cache key for running a registry operation with a validated input, or
+ * null when caching is off or the operation opts out (`cacheable: false`).
+ *
+ * @param {string} name - Route name of the operation
+ * @param {object} operation - Registry entry (for `promptVersion` and `cacheable`)
+ * @param {object} input - Output of the operation's `input()` parser
+ * @param {string} [quality] - Quality tier the operation runs at
+ */
+function cacheKeyFor(name, operation, input, quality) {
+  if (!enabled || operation.cacheable === false) return null;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      operation: name,
+      input,
+      promptVersion: operation.promptVersion || 1,
+      model: resolveModel(name, quality)
+    }))
+    .digest('hex');
+}
+
+// Whether request headers ask for a fresh result (Cache-Control: no-cache)
+function wantsFreshResult(headers) {
+  return /\bno-cache\b/i.test(headers['cache-control'] || '') ||
+    /\bno-cache\b/i.test(headers.pragma || '');
+}
+
+// Cached response body for a key, or undefined on a miss
+async function getCachedResult(key) {
+  if (!enabled) return undefined;
+  await loadIndex();
+
+  const expiresAt = index.get(key);
+  if (expiresAt === undefined) return undefined;
+
+  if (expiresAt <= Date.now()) {
+    index.delete(key);
+    await store.delete(key);
+    return undefined;
+  }
+
+  const entry = await store.get(key);
+  if (!entry) {
+    index.delete(key);
+    return undefined;
+  }
+
+  touch(key, expiresAt);
+  return entry.body;
+}
+
+// Store a response body under a key. Partial results (`complete: false`
+// from the rewrite endpoints) are not cached.
+async function cacheResult(key, body) {
+  if (!enabled || body.complete === false) return;
+  await loadIndex();
+
+  const now = Date.now();
+  const expiresAt = now + CACHE_TTL_MS;
+  await store.set(key, { body, storedAt: now, expiresAt });
+  touch(key, expiresAt);
+  await evict();
+}
+
+module.exports = {
+  cacheKeyFor,
+  wantsFreshResult,
+  getCachedResult,
+  cacheResult
+};
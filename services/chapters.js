@@ -0,0 +1,142 @@
+/**
+ * Chapter segmentation helpers for /chapters
+ *
+ * Claude marks where each chapter begins by the index of a line of the
+ * prompt: a segment for segment input (services/segments.js), otherwise a
+ * passage of a few sentences cut from the transcript here. The server turns
+ * those starts into character offsets or times, so the chapters are ordered,
+ * do not overlap and cover the whole transcript by construction once the
+ * starts pass `checkChapterStarts`.
+ */
+
+const { formatTime } = require('./segments');
+
+// Passages are cut at the first sentence or line end after MIN characters,
+// or at a space before MAX characters for unpunctuated transcripts
+const MIN_PASSAGE_LENGTH = 200;
+const MAX_PASSAGE_LENGTH = 600;
+const PASSAGE_BREAK = /[.!?…]['"’”)\]]*\s+|\n\s*/g;
+
+// Explains the rendered passages to Claude
+const PASSAGE_FORMAT = 'The transcript is split into passages, one per line, each prefixed with its [index].';
+
+// Where the passage starting at `from` ends
+function passageEnd(text, from) {
+  if (text.length - from <= MAX_PASSAGE_LENGTH) return text.length;
+
+  const window = text.slice(from, from + MAX_PASSAGE_LENGTH);
+  for (const match of window.matchAll(PASSAGE_BREAK)) {
+    const end = match.index + match[0].length;
+    if (end >= MIN_PASSAGE_LENGTH) return from + end;
+  }
+  const space = window.lastIndexOf(' ');
+  return from + (space > 0 ? space + 1 : MAX_PASSAGE_LENGTH);
+}
+
+/**
+ * Cut a transcript into passages of a few sentences.
+ *
+ * @param {string} transcript
+ * @returns {{offset: number, text: string}[]} Passages in order; `offset` is
+ *   where each starts in `transcript` (the first at 0)
+ */
+function splitPassages(transcript) {
+  const passages = [];
+  for (let offset = 0; offset < transcript.length;) {
+    const end = passageEnd(transcript, offset);
+    passages.push({ offset, text: transcript.slice(offset, end) });
+    offset = end;
+  }
+  return passages;
+}
+
+// The one line per passage form sent to Claude; text is passed through `sanitize`
+function renderPassages(passages, sanitize) {
+  return passages.map(({ text }, i) => `[${i}] ${sanitize(text.replace(/\s+/g, ' ').trim())}`).join('\n');
+}
+
+/**
+ * Error message unless the chapters start at line 0 and each starts after
+ * the one before, within the `count` lines of the transcript; else null.
+ *
+ * @param {{startIndex: number}[]} chapters
+ * @param {number} count - Number of passages or segments
+ * @returns {string|null}
+ */
+function checkChapterStarts(chapters, count) {
+  for (const [i, { startIndex }] of chapters.entries()) {
+    const where = `chapters[${i}].startIndex`;
+    if (i === 0 && startIndex !== 0) {
+      return `${where} is ${startIndex}, but the first chapter must start at line 0 so the chapters cover the whole transcript`;
+    }
+    if (startIndex >= count) {
+      return `${where} refers to line ${startIndex}, but the last line is ${count - 1}`;
+    }
+    if (i > 0 && startIndex <= chapters[i - 1].startIndex) {
+      return `${where} is ${startIndex}, but chapters must be in order without overlapping, each starting after line ${chapters[i - 1].startIndex}`;
+    }
+  }
+  return null;
+}
+
+// Each chapter's last line: the line before the next chapter starts
+function withEndIndexes(chapters, count) {
+  return chapters.map((chapter, i) => ({
+    ...chapter,
+    endIndex: i + 1 < chapters.length ? chapters[i + 1].startIndex - 1 : count - 1
+  }));
+}
+
+/**
+ * Chapters with the character range of the transcript they cover.
+ * `endOffset` is exclusive and is the next chapter's `startOffset`.
+ *
+ * @param {{title: string, synopsis: string, startIndex: number}[]} chapters - Checked starts
+ * @param {number[]} offsets - Start offset of each passage
+ * @param {number} length - Transcript length
+ */
+function textChapters(chapters, offsets, length) {
+  return withEndIndexes(chapters, offsets.length).map(({ title, synopsis, startIndex, endIndex }) => ({
+    title,
+    synopsis,
+    startIndex,
+    endIndex,
+    startOffset: offsets[startIndex],
+    endOffset: endIndex + 1 < offsets.length ? offsets[endIndex + 1] : length
+  }));
+}
+
+/**
+ * Chapters with the times they cover: from their first segment's start to
+ * the next chapter's start, and the last one to the end of the recording.
+ *
+ * @param {{title: string, synopsis: string, startIndex: number}[]} chapters - Checked starts
+ * @param {{start: number, end: number}[]} segments - In order of start time
+ */
+function timedChapters(chapters, segments) {
+  const recordingEnd = Math.max(...segments.map(segment => segment.end));
+  return withEndIndexes(chapters, segments.length).map(({ title, synopsis, startIndex, endIndex }) => ({
+    title,
+    synopsis,
+    startIndex,
+    endIndex,
+    start: segments[startIndex].start,
+    end: endIndex + 1 < segments.length ? segments[endIndex + 1].start : recordingEnd
+  }));
+}
+
+// YouTube-style chapter lines ("0:00 Introduction"). YouTube requires the
+// first to be at 0:00, so it is, whenever the first segment starts.
+function youtubeChapters(chapters) {
+  return chapters.map(({ title, start }, i) => `${formatTime(i === 0 ? 0 : start)} ${title.replace(/\s+/g, ' ').trim()}`).join('\n');
+}
+
+module.exports = {
+  PASSAGE_FORMAT,
+  splitPassages,
+  renderPassages,
+  checkChapterStarts,
+  textChapters,
+  timedChapters,
+  youtubeChapters
+};
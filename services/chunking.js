@@ -0,0 +1,268 @@
+/**
+ * Transcript chunking and map-reduce helpers for VoiceSnap API
+ * Splits transcripts that are too long for a single prompt on natural
+ * boundaries, runs each chunk through Claude and merges the partial results,
+ * or rewrites them window by window and stitches the output back together.
+ */
+
+const { callClaudeWithMetadata } = require('./claude');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Largest chunk sent to Claude in one prompt (matches the single-pass limit)
+const DEFAULT_CHUNK_SIZE = 100000;
+
+// Characters repeated between neighbouring chunks so nothing is lost at a cut
+const DEFAULT_CHUNK_OVERLAP = 500;
+
+// Maximum combined size of partial results fed into one reduce prompt
+const MAX_REDUCE_INPUT = 60000;
+
+// Number of chunk prompts sent to Claude at the same time
+const MAP_CONCURRENCY = 3;
+
+// Input window for rewrites, sized so the rewritten text fits in one response
+const REWRITE_WINDOW_SIZE = 12000;
+
+// How many times a truncated rewrite is resumed before giving up
+const MAX_CONTINUATIONS = 3;
+
+// Find the best place to cut `text` between `min` and `max`.
+// Prefers paragraph breaks, then line breaks, then sentence ends, then any
+// whitespace.
+function findBreak(text, min, max) {
+  const window = text.slice(min, max);
+
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph !== -1) return min + paragraph + 2;
+
+  // Transcripts sent as segments have one segment per line
+  const line = window.lastIndexOf('\n');
+  if (line !== -1) return min + line + 1;
+
+  let sentenceEnd = -1;
+  const sentencePattern = /[.!?]["')\]]?\s+/g;
+  let match;
+  while ((match = sentencePattern.exec(window)) !== null) {
+    sentenceEnd = match.index + match[0].length;
+  }
+  if (sentenceEnd !== -1) return min + sentenceEnd;
+
+  const whitespace = window.search(/\s\S*$/);
+  if (whitespace > 0) return min + whitespace + 1;
+
+  return max;
+}
+
+// Move `position` forward to the start of the next line, sentence or word
+// so that an overlapping chunk does not begin mid-sentence.
+function alignToSentenceStart(text, position, limit) {
+  const window = text.slice(position, limit);
+
+  const line = window.indexOf('\n');
+  if (line !== -1 && line + 1 < window.length) return position + line + 1;
+
+  const sentence = window.search(/[.!?]["')\]]?\s+\S/);
+  if (sentence !== -1) {
+    const offset = window.slice(sentence).search(/\s\S/) + 1;
+    return position + sentence + offset;
+  }
+
+  const word = window.search(/\s\S/);
+  if (word !== -1) return position + word + 1;
+
+  return position;
+}
+
+/**
+ * Split a transcript into chunks no longer than `chunkSize`, cutting on
+ * paragraph or sentence boundaries and overlapping neighbours by roughly
+ * `overlap` characters. Chunks are balanced so the last one is not a sliver.
+ */
+function splitTranscript(text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+  if (text.length <= chunkSize) return [text];
+
+  const chunkCount = Math.ceil((text.length - overlap) / (chunkSize - overlap));
+  const targetSize = Math.min(chunkSize, Math.ceil(text.length / chunkCount) + overlap);
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    if (text.length - start <= chunkSize) {
+      chunks.push(text.slice(start));
+      break;
+    }
+
+    const end = findBreak(text, start + Math.floor(targetSize / 2), start + targetSize);
+    chunks.push(text.slice(start, end));
+
+    // Step back by the overlap, then forward to a clean sentence start
+    const overlapStart = Math.max(start + 1, end - overlap);
+    start = alignToSentenceStart(text, overlapStart, end);
+  }
+
+  return chunks;
+}
+
+// Group partial results into batches whose combined length fits one reduce prompt
+function groupPartials(partials) {
+  const groups = [];
+  let current = [];
+  let currentLength = 0;
+
+  for (const partial of partials) {
+    if (current.length > 0 && currentLength + partial.length > MAX_REDUCE_INPUT) {
+      groups.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    current.push(partial);
+    currentLength += partial.length;
+  }
+  if (current.length > 0) groups.push(current);
+
+  return groups;
+}
+
+// Keeps a running total of token usage across the calls behind one result
+function createUsageTotal() {
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  return {
+    usage,
+    add(callUsage) {
+      usage.inputTokens += callUsage.inputTokens;
+      usage.outputTokens += callUsage.outputTokens;
+    }
+  };
+}
+
+/**
+ * Run a transcript through Claude in map-reduce fashion.
+ *
+ * Short transcripts go through `single` unchanged. Longer ones are split with
+ * `splitTranscript`, each chunk is processed with the `map` prompt, and the
+ * partial results are merged by the `reduce` prompt. When the partials are
+ * too large for one reduce prompt they are reduced in several rounds.
+ *
+ * Only the final call (single or last reduce) is streamed to `options.onText`.
+ * `options.onProgress(fraction)` is called as chunks finish.
+ *
+ * @param {string} transcript - Sanitized transcript text
+ * @param {object} steps
+ * @param {{prompt: Function, maxTokens: number}} steps.single - prompt(transcript)
+ * @param {{prompt: Function, maxTokens: number}} steps.map - prompt(chunk, index, total)
+ * @param {{prompt: Function, maxTokens: number}} steps.reduce - prompt(partials)
+ *   Each step may also set `output` to ask for structured JSON (see
+ *   callClaudeWithMetadata).
+ * @param {object} [options] - chunkSize, overlap, onText, onProgress, signal
+ * @returns {Promise<{text: string, chunks: number, usage: object}>}
+ */
+async function mapReduce(transcript, { single, map, reduce }, options = {}) {
+  const { onText, onProgress, signal, ...splitOptions } = options;
+  const total = createUsageTotal();
+
+  const call = async ({ prompt, maxTokens, output }, stream = false) => {
+    const result = await callClaudeWithMetadata(prompt, maxTokens, { output, signal, onText: stream ? onText : undefined });
+    total.add(result.usage);
+    return result.text;
+  };
+
+  const chunks = splitTranscript(transcript, splitOptions);
+
+  if (chunks.length === 1) {
+    const text = await call({ ...single, prompt: single.prompt(transcript) }, true);
+    return { text, chunks: 1, usage: total.usage };
+  }
+
+  // The final reduce counts as one more step after the chunks
+  let completed = 0;
+  let partials = await mapWithConcurrency(chunks, MAP_CONCURRENCY, async (chunk, index) => {
+    const partial = await call({ ...map, prompt: map.prompt(chunk, index, chunks.length) });
+    if (onProgress) onProgress(++completed / (chunks.length + 1));
+    return partial;
+  });
+
+  // Reduce in rounds until everything fits in a single prompt
+  let groups = groupPartials(partials);
+  while (groups.length > 1) {
+    partials = await mapWithConcurrency(groups, MAP_CONCURRENCY, group =>
+      call({ ...reduce, prompt: reduce.prompt(group) })
+    );
+    groups = groupPartials(partials);
+  }
+
+  const text = await call({ ...reduce, prompt: reduce.prompt(groups[0]) }, true);
+  return { text, chunks: chunks.length, usage: total.usage };
+}
+
+// Generate one window of a rewrite, resuming from the partial output
+// whenever Claude stops because it hit the max_tokens ceiling.
+async function generateWithContinuation(prompt, maxTokens, { onText, signal }, total) {
+  let output = '';
+
+  for (let attempt = 0; attempt <= MAX_CONTINUATIONS; attempt++) {
+    // The API rejects an assistant prefill that ends in whitespace
+    const prefill = output.trimEnd();
+    const { text, stopReason, usage } = await callClaudeWithMetadata(prompt, maxTokens, {
+      prefill: prefill || undefined,
+      onText,
+      signal
+    });
+    total.add(usage);
+    output = prefill + text;
+
+    if (stopReason !== 'max_tokens') {
+      return { text: output.trim(), complete: true };
+    }
+  }
+
+  return { text: output.trim(), complete: false };
+}
+
+/**
+ * Rewrite a transcript window by window so the whole text comes back even
+ * when the rewrite is longer than one response. Windows are cut on paragraph
+ * or sentence boundaries without overlap and stitched back together in order.
+ *
+ * When `options.onText` is given the windows are generated one after another
+ * so the streamed text arrives in order. `options.onProgress(fraction)` is
+ * called as windows finish.
+ *
+ * @param {string} transcript - Sanitized transcript text
+ * @param {object} step
+ * @param {Function} step.prompt - prompt(window, index, total)
+ * @param {number} step.maxTokens - Output budget for each call
+ * @param {object} [options] - windowSize, onText, onProgress, signal
+ * @returns {Promise<{text: string, complete: boolean, usage: object}>}
+ */
+async function rewriteInWindows(transcript, { prompt, maxTokens }, options = {}) {
+  const { windowSize = REWRITE_WINDOW_SIZE, onText, onProgress, signal } = options;
+  const total = createUsageTotal();
+  const windows = splitTranscript(transcript, { chunkSize: windowSize, overlap: 0 });
+
+  // Keep paragraph breaks where the input was cut on one
+  const separatorBefore = (index) => (/\n\s*$/.test(windows[index - 1]) ? '\n\n' : ' ');
+
+  let completed = 0;
+  const parts = await mapWithConcurrency(windows, onText ? 1 : MAP_CONCURRENCY, async (window, index) => {
+    if (onText && index > 0) onText(separatorBefore(index));
+    const part = await generateWithContinuation(prompt(window, index, windows.length), maxTokens, { onText, signal }, total);
+    if (onProgress) onProgress(++completed / windows.length);
+    return part;
+  });
+
+  const text = parts.reduce((stitched, part, index) => {
+    if (index === 0) return part.text;
+    return stitched + separatorBefore(index) + part.text;
+  }, '');
+
+  return { text, complete: parts.every(part => part.complete), usage: total.usage };
+}
+
+module.exports = {
+  splitTranscript,
+  mapReduce,
+  rewriteInWindows,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP
+};
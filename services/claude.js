@@ -1,14 +1,33 @@
-const Anthropic = require('@anthropic-ai/sdk');
+/**
+ * Provider-agnostic LLM calls for VoiceSnap API
+ * Sends prompts to the provider configured for the current endpoint (see
+ * services/providers) with shared retry, backoff and error categorization.
+ */
 
-const client = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-  timeout: 60000, // 60 second timeout
-});
+const { AsyncLocalStorage } = require('async_hooks');
+const { providerFor, resolveTarget } = require('./providers');
+const { recordTokenUsage } = require('./meter');
+
+// Operation whose calls are being made and the quality tier it runs at:
+// { endpoint, quality }
+const endpointStorage = new AsyncLocalStorage();
 
 // Retry configuration
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY_MS = 1000;
 
+// Codes a ClaudeAPIError can carry
+const ClaudeErrorCodes = {
+  CANCELLED: 'CANCELLED',
+  FIXTURE_NOT_FOUND: 'FIXTURE_NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  TIMEOUT: 'TIMEOUT',
+  NO_TEXT_CONTENT: 'NO_TEXT_CONTENT',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
 // Custom error class for better error handling
 class ClaudeAPIError extends Error {
   constructor(message, code, isRetryable = false) {
@@ -34,33 +53,122 @@ function isRetryableError(error) {
   return false;
 }
 
-async function callClaude(prompt, maxTokens = 1024) {
+// Run `fn` with every call it makes going to the model configured for
+// `endpoint` at `quality` (null for the endpoint's default tier)
+function withEndpoint(endpoint, quality, fn) {
+  return endpointStorage.run({ endpoint, quality }, fn);
+}
+
+// Provider name and model an endpoint runs on at a quality tier
+function resolveModel(endpoint, quality) {
+  return resolveTarget(endpoint, quality);
+}
+
+// Send one request to the provider, streaming text deltas to `onText` when given
+async function requestMessage(provider, request, { onText, signal }) {
+  if (!onText) {
+    return provider.complete(request, { signal });
+  }
+
+  try {
+    return await provider.stream(request, { onText, signal });
+  } catch (error) {
+    // Tokens generated before the stream failed are still billed
+    if (error.raw) recordTokenUsage(request.model, provider.usage(error.raw));
+    throw error;
+  }
+}
+
+// Convert the last failed attempt into a ClaudeAPIError with a stable code
+function categorizeError(error, signal, label) {
+  if (error instanceof ClaudeAPIError) {
+    return error;
+  }
+  if (signal?.aborted) {
+    return new ClaudeAPIError('Request cancelled', ClaudeErrorCodes.CANCELLED, false);
+  }
+  if (error.code === 'FIXTURE_NOT_FOUND') {
+    return new ClaudeAPIError(error.message, ClaudeErrorCodes.FIXTURE_NOT_FOUND, false);
+  }
+  if (error.status === 429) {
+    return new ClaudeAPIError('Rate limit exceeded. Please try again later.', ClaudeErrorCodes.RATE_LIMITED, true);
+  }
+  if (error.status === 401) {
+    return new ClaudeAPIError('API authentication failed', ClaudeErrorCodes.AUTH_FAILED, false);
+  }
+  if (error.status >= 500) {
+    return new ClaudeAPIError(`${label} service temporarily unavailable`, ClaudeErrorCodes.SERVICE_UNAVAILABLE, true);
+  }
+  if (error.message?.includes('timeout')) {
+    return new ClaudeAPIError('Request timed out. Please try again.', ClaudeErrorCodes.TIMEOUT, true);
+  }
+
+  console.error(`${label} API error:`, error);
+  return new ClaudeAPIError(`${label} API error: ${error.message}`, ClaudeErrorCodes.UNKNOWN_ERROR, false);
+}
+
+/**
+ * Call the model and return the generated text along with response metadata.
+ * Uses the model configured for the current endpoint and quality tier (see
+ * withEndpoint).
+ *
+ * Options:
+ * - `prefill` seeds the assistant turn with text the model should continue
+ *   from, which is how truncated output is resumed.
+ * - `onText` switches to the streaming API and receives each text delta.
+ *   A stream that has already produced text is not retried, since the
+ *   caller has seen part of the output.
+ * - `signal` is an AbortSignal that cancels the request.
+ * - `output` (`{ name, description, schema }`, see schemas.outputFor) asks
+ *   for JSON matching an object schema instead of free text; `text` is then
+ *   that JSON.
+ *
+ * @returns {Promise<{text: string, stopReason: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+async function callClaudeWithMetadata(prompt, maxTokens = 1024, options = {}) {
+  const { prefill, onText, signal, output } = options;
+
+  const messages = [
+    {
+      role: 'user',
+      content: prompt
+    }
+  ];
+  if (prefill) {
+    messages.push({
+      role: 'assistant',
+      content: prefill
+    });
+  }
+
   let lastError;
+  let streamedText = false;
+  const forwardText = onText && ((delta) => {
+    streamedText = true;
+    onText(delta);
+  });
+
+  const { endpoint, quality } = endpointStorage.getStore() || {};
+  const { provider, model } = providerFor(endpoint, quality);
+  const request = { endpoint, model, maxTokens, messages, output };
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      const response = await client.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: maxTokens,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      });
-
-      // Validate response structure
-      if (!response.content || !Array.isArray(response.content) || response.content.length === 0) {
-        throw new ClaudeAPIError('Invalid response structure from Claude', 'INVALID_RESPONSE', false);
-      }
+      const response = await requestMessage(provider, request, { onText: forwardText, signal });
+
+      // Count the tokens even if the response turns out to be unusable
+      const usage = provider.usage(response.raw);
+      recordTokenUsage(model, usage);
 
-      const textContent = response.content.find(c => c.type === 'text');
-      if (!textContent || typeof textContent.text !== 'string') {
-        throw new ClaudeAPIError('No text content in Claude response', 'NO_TEXT_CONTENT', false);
+      if (response.text === null) {
+        throw new ClaudeAPIError(`No text content in ${provider.label} response`, ClaudeErrorCodes.NO_TEXT_CONTENT, false);
       }
 
-      return textContent.text;
+      return {
+        text: response.text,
+        stopReason: response.stopReason,
+        usage
+      };
     } catch (error) {
       lastError = error;
 
@@ -69,6 +177,11 @@ async function callClaude(prompt, maxTokens = 1024) {
         throw error;
       }
 
+      // Don't retry cancelled requests or streams that already sent text
+      if (signal?.aborted || streamedText) {
+        break;
+      }
+
       // Check if error is retryable
       if (!isRetryableError(error)) {
         break;
@@ -81,27 +194,25 @@ async function callClaude(prompt, maxTokens = 1024) {
 
       // Exponential backoff with jitter
       const delay = INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt - 1) + Math.random() * 500;
-      console.log(`Claude API attempt ${attempt} failed, retrying in ${Math.round(delay)}ms...`);
+      console.log(`${provider.label} API attempt ${attempt} failed, retrying in ${Math.round(delay)}ms...`);
       await sleep(delay);
     }
   }
 
-  // Categorize the final error
-  if (lastError.status === 429) {
-    throw new ClaudeAPIError('Rate limit exceeded. Please try again later.', 'RATE_LIMITED', true);
-  }
-  if (lastError.status === 401) {
-    throw new ClaudeAPIError('API authentication failed', 'AUTH_FAILED', false);
-  }
-  if (lastError.status >= 500) {
-    throw new ClaudeAPIError('Claude service temporarily unavailable', 'SERVICE_UNAVAILABLE', true);
-  }
-  if (lastError.message?.includes('timeout')) {
-    throw new ClaudeAPIError('Request timed out. Please try again.', 'TIMEOUT', true);
-  }
+  throw categorizeError(lastError, signal, provider.label);
+}
 
-  console.error('Claude API error:', lastError);
-  throw new ClaudeAPIError(`Claude API error: ${lastError.message}`, 'UNKNOWN_ERROR', false);
+// Call the model and return only the generated text
+async function callClaude(prompt, maxTokens = 1024) {
+  const { text } = await callClaudeWithMetadata(prompt, maxTokens);
+  return text;
 }
 
-module.exports = { callClaude, ClaudeAPIError };
+module.exports = {
+  callClaude,
+  callClaudeWithMetadata,
+  withEndpoint,
+  resolveModel,
+  ClaudeAPIError,
+  ClaudeErrorCodes
+};
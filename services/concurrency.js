@@ -0,0 +1,45 @@
+/**
+ * Concurrency helpers for fanning work out to Claude without
+ * tripping its rate limits.
+ */
+
+// Run `fn` over every item with at most `limit` calls in flight.
+// Results are returned in the same order as the input items.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+// Create a runner that executes tasks one at a time per key, in call order.
+// Tasks for different keys still run concurrently. Used to apply
+// read-modify-write updates to stored records without losing writes.
+function createKeyedSerializer() {
+  const chains = new Map();
+
+  return function serialize(key, task) {
+    const previous = chains.get(key) || Promise.resolve();
+    const next = previous.then(task);
+
+    // Keep the chain alive even if one task fails, and drop it once idle
+    const settled = next.catch(() => {});
+    chains.set(key, settled);
+    settled.then(() => {
+      if (chains.get(key) === settled) chains.delete(key);
+    });
+
+    return next;
+  };
+}
+
+module.exports = { mapWithConcurrency, createKeyedSerializer };
@@ -0,0 +1,30 @@
+/**
+ * Pluggable counters for rate limits and quotas
+ *
+ * Every counter store exposes the same async interface:
+ * - increment(key, amount, ttlMs) -> { value, resetMs }: adds `amount`,
+ *   starting the counter with a `ttlMs` lifetime if it does not exist yet;
+ *   `resetMs` is the time left until it expires
+ * - get(key) -> current value (0 when missing or expired)
+ *
+ * Backends:
+ * - `memory` (default): per process, so limits are per server instance
+ * - `redis`: any server speaking the Redis protocol (REDIS_URL), shared
+ *   between instances
+ */
+
+const { createMemoryCounterStore } = require('./memory');
+const { createRedisCounterStore } = require('./redis');
+
+function createCounterStore(backend = 'memory') {
+  switch (backend) {
+    case 'memory':
+      return createMemoryCounterStore();
+    case 'redis':
+      return createRedisCounterStore(process.env.REDIS_URL || 'redis://localhost:6379');
+    default:
+      throw new Error(`Unknown counter store backend '${backend}'. Use memory or redis.`);
+  }
+}
+
+module.exports = { createCounterStore };
@@ -0,0 +1,48 @@
+/**
+ * In-memory counter store (per process, lost on restart)
+ */
+
+// How often expired counters are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryCounterStore() {
+  // key -> { value, expiresAt }
+  const counters = new Map();
+
+  // Return the live counter for a key, dropping it if it has expired
+  function live(key, now) {
+    const counter = counters.get(key);
+    if (counter && counter.expiresAt <= now) {
+      counters.delete(key);
+      return undefined;
+    }
+    return counter;
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async increment(key, amount, ttlMs) {
+      const now = Date.now();
+      let counter = live(key, now);
+      if (!counter) {
+        counter = { value: 0, expiresAt: now + ttlMs };
+        counters.set(key, counter);
+      }
+      counter.value += amount;
+      return { value: counter.value, resetMs: counter.expiresAt - now };
+    },
+
+    async get(key) {
+      const counter = live(key, Date.now());
+      return counter ? counter.value : 0;
+    }
+  };
+}
+
+module.exports = { createMemoryCounterStore };
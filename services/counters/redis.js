@@ -0,0 +1,188 @@
+/**
+ * Redis-protocol counter store
+ * Speaks RESP directly over one socket, so it works with Redis and
+ * compatible servers (Valkey, KeyDB, Dragonfly, ...) without an extra
+ * dependency. Configure it with a URL:
+ *   redis://[[username]:password@]host[:port][/db]  (rediss:// for TLS)
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+// Fail a command (and drop the connection) if the server stops answering
+const COMMAND_TIMEOUT_MS = 5000;
+
+// All counters are stored under this prefix
+const KEY_PREFIX = 'voicesnap:';
+
+// Error reply sent by the server
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+// Encode a command as a RESP array of bulk strings
+function encodeCommand(args) {
+  let encoded = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    encoded += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return encoded;
+}
+
+// Parse one reply starting at `offset`. Returns { value, offset } or null if
+// the buffer does not hold a complete reply yet.
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type '${type}'`);
+  }
+}
+
+// A lazily (re)connecting RESP connection. Replies arrive in command order,
+// so pending commands are a simple FIFO queue.
+function createConnection(redisUrl) {
+  const url = new URL(redisUrl);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  // Reject everything in flight and start fresh on the next command
+  function reset(error) {
+    socket = null;
+    buffer = Buffer.alloc(0);
+    while (pending.length > 0) {
+      const { reject, timer } = pending.shift();
+      clearTimeout(timer);
+      reject(error);
+    }
+  }
+
+  function handleData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let reply;
+      while (pending.length > 0 && (reply = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(reply.offset);
+        const { resolve, reject, timer } = pending.shift();
+        clearTimeout(timer);
+        if (reply.value instanceof RedisError) reject(reply.value);
+        else resolve(reply.value);
+      }
+    } catch (error) {
+      socket.destroy(error);
+    }
+  }
+
+  function connect() {
+    const options = { host: url.hostname, port: Number(url.port) || 6379 };
+    const connection = url.protocol === 'rediss:'
+      ? tls.connect({ ...options, servername: url.hostname })
+      : net.connect(options);
+
+    connection.setNoDelay(true);
+    connection.on('data', handleData);
+    connection.on('error', (error) => {
+      if (socket === connection) reset(error);
+    });
+    connection.on('close', () => {
+      if (socket === connection) reset(new Error('Redis connection closed'));
+    });
+    socket = connection;
+
+    // Authenticate and pick the database before anything else is sent
+    const password = decodeURIComponent(url.password);
+    if (password) {
+      const username = decodeURIComponent(url.username);
+      send(username ? ['AUTH', username, password] : ['AUTH', password])
+        .catch(error => connection.destroy(error));
+    }
+    const db = url.pathname.slice(1);
+    if (db) {
+      send(['SELECT', db]).catch(error => connection.destroy(error));
+    }
+  }
+
+  function send(args) {
+    if (!socket) connect();
+    const connection = socket;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        connection.destroy(new Error('Redis command timed out'));
+      }, COMMAND_TIMEOUT_MS);
+      pending.push({ resolve, reject, timer });
+      connection.write(encodeCommand(args));
+    });
+  }
+
+  return { send };
+}
+
+function createRedisCounterStore(redisUrl) {
+  const connection = createConnection(redisUrl);
+
+  return {
+    async increment(key, amount, ttlMs) {
+      const redisKey = KEY_PREFIX + key;
+
+      // Pipelined: create the counter with its expiry if missing, then add
+      const [, value, ttl] = await Promise.all([
+        connection.send(['SET', redisKey, '0', 'PX', ttlMs, 'NX']),
+        connection.send(['INCRBY', redisKey, amount]),
+        connection.send(['PTTL', redisKey])
+      ]);
+
+      // The counter expired between SET and INCRBY and was recreated without
+      // an expiry; give it one so it can't live forever
+      if (ttl < 0) {
+        await connection.send(['PEXPIRE', redisKey, ttlMs]);
+        return { value, resetMs: ttlMs };
+      }
+
+      return { value, resetMs: ttl };
+    },
+
+    async get(key) {
+      const value = await connection.send(['GET', KEY_PREFIX + key]);
+      return value === null ? 0 : Number(value);
+    }
+  };
+}
+
+module.exports = { createRedisCounterStore };
@@ -0,0 +1,88 @@
+/**
+ * Error codes and error classes shared by routes and operations
+ */
+
+const { ClaudeAPIError } = require('./claude');
+
+// Error codes for client handling
+const ErrorCodes = {
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  PARSE_ERROR: 'PARSE_ERROR',
+  SCHEMA_ERROR: 'SCHEMA_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  IDEMPOTENCY_CONFLICT: 'IDEMPOTENCY_CONFLICT',
+  SERVICE_ERROR: 'SERVICE_ERROR',
+  TIMEOUT: 'TIMEOUT'
+};
+
+// Error raised by an operation with a known HTTP status and error code
+class OperationError extends Error {
+  constructor(message, code, statusCode = 500, isRetryable = false) {
+    super(message);
+    this.name = 'OperationError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.isRetryable = isRetryable;
+  }
+}
+
+// Bad input from the client (400)
+class ValidationError extends OperationError {
+  constructor(message) {
+    super(message, ErrorCodes.VALIDATION_ERROR, 400, false);
+    this.name = 'ValidationError';
+  }
+}
+
+// Errors caused by the request itself (bad input, missing scopes); not worth logging
+function isClientError(error) {
+  return error instanceof OperationError && error.statusCode < 500;
+}
+
+// Map an error to the HTTP status and body sent to the client
+function describeError(error, operation) {
+  if (error instanceof OperationError) {
+    return {
+      statusCode: error.statusCode,
+      body: {
+        error: error.message,
+        code: error.code,
+        retryable: error.isRetryable
+      }
+    };
+  }
+
+  if (error instanceof ClaudeAPIError) {
+    const statusCode = error.code === 'RATE_LIMITED' ? 429 :
+                       error.code === 'TIMEOUT' ? 504 :
+                       error.code === 'SERVICE_UNAVAILABLE' ? 503 : 500;
+    return {
+      statusCode,
+      body: {
+        error: error.message,
+        code: error.code,
+        retryable: error.isRetryable
+      }
+    };
+  }
+
+  return {
+    statusCode: 500,
+    body: {
+      error: `Failed to ${operation}. Please try again.`,
+      code: ErrorCodes.SERVICE_ERROR,
+      retryable: true
+    }
+  };
+}
+
+module.exports = {
+  ErrorCodes,
+  OperationError,
+  ValidationError,
+  isClientError,
+  describeError
+};
@@ -0,0 +1,118 @@
+/**
+ * Quiz grading helpers for VoiceSnap API
+ * Checks answers to /quiz questions and scores the objective question types
+ * without Claude. Short answers are graded by Claude against a rubric (see
+ * the `quiz/grade` operation), which also writes every explanation.
+ */
+
+const { ValidationError } = require('./errors');
+
+// Longest free-text answer accepted
+const MAX_ANSWER_LENGTH = 1000;
+
+// Rubric Claude grades short answers on; a question's score is level / RUBRIC_MAX
+const RUBRIC = [
+  'incorrect, irrelevant or not answered',
+  'partly correct, or too vague to show understanding',
+  'mostly correct, but missing or confusing a detail',
+  'complete and accurate'
+];
+const RUBRIC_MAX = RUBRIC.length - 1;
+
+// Round a score to two decimal places
+const round = (value) => Math.round(value * 100) / 100;
+
+// Case, punctuation and spacing insensitive form of a fill-in-the-blank answer
+function normalizeText(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check the answer given to a question. null or a missing answer means the
+ * question was skipped.
+ *
+ * @param {object} question - A question as returned by /quiz
+ * @param {*} answer - Index (multiple-choice), boolean (true-false), array of
+ *   indexes (multi-select) or string (fill-in-the-blank, short-answer)
+ * @param {number} index - Position in the quiz, for error messages
+ * @returns {*} The answer, or null when skipped
+ */
+function validateAnswer(question, answer, index) {
+  if (answer === undefined || answer === null) return null;
+  const where = `answers[${index}]`;
+
+  switch (question.type) {
+    case 'multiple-choice':
+      if (!Number.isInteger(answer) || answer < 0 || answer >= question.options.length) {
+        throw new ValidationError(`${where} must be the index of one of the options`);
+      }
+      return answer;
+    case 'true-false':
+      if (typeof answer !== 'boolean') throw new ValidationError(`${where} must be true or false`);
+      return answer;
+    case 'multi-select':
+      if (!Array.isArray(answer) || answer.some(i => !Number.isInteger(i) || i < 0 || i >= question.options.length)) {
+        throw new ValidationError(`${where} must be an array of option indexes`);
+      }
+      return [...new Set(answer)];
+    default:
+      if (typeof answer !== 'string') throw new ValidationError(`${where} must be a string`);
+      if (answer.length > MAX_ANSWER_LENGTH) {
+        throw new ValidationError(`${where} is too long. Maximum ${MAX_ANSWER_LENGTH} characters allowed.`);
+      }
+      return answer.trim() === '' ? null : answer;
+  }
+}
+
+/**
+ * Score an answer between 0 and 1 without Claude. Multi-select earns partial
+ * credit: correct picks minus wrong picks, over the number of correct options.
+ *
+ * @returns {number|null} The score, or null for a short answer that needs grading
+ */
+function scoreAnswer(question, answer) {
+  if (answer === null) return 0;
+
+  switch (question.type) {
+    case 'multiple-choice':
+      return answer === question.correctIndex ? 1 : 0;
+    case 'true-false':
+      return answer === question.answer ? 1 : 0;
+    case 'multi-select': {
+      const hits = answer.filter(i => question.correctIndices.includes(i)).length;
+      return round(Math.max(0, (hits - (answer.length - hits)) / question.correctIndices.length));
+    }
+    case 'fill-in-the-blank':
+      return normalizeText(answer) === normalizeText(question.answer) ? 1 : 0;
+    default:
+      return null;
+  }
+}
+
+// The correct answer to a question, in the same form as a user's answer
+function expectedAnswer(question) {
+  switch (question.type) {
+    case 'multiple-choice': return question.correctIndex;
+    case 'multi-select': return question.correctIndices;
+    default: return question.answer;
+  }
+}
+
+// An answer as text for the grading prompt, naming options rather than indexes
+function formatAnswer(question, answer) {
+  if (answer === null) return '(not answered)';
+  if (question.type === 'multiple-choice') return question.options[answer];
+  if (question.type === 'multi-select') return answer.length ? answer.map(i => question.options[i]).join('; ') : '(none selected)';
+  return String(answer);
+}
+
+module.exports = {
+  MAX_ANSWER_LENGTH,
+  RUBRIC,
+  RUBRIC_MAX,
+  round,
+  validateAnswer,
+  scoreAnswer,
+  expectedAnswer,
+  formatAnswer
+};
@@ -0,0 +1,113 @@
+/**
+ * Idempotency-Key bookkeeping for VoiceSnap API
+ *
+ * A client may send the same POST again (for example after a timeout) with
+ * the same Idempotency-Key. While the first request is still running, the
+ * retry waits for it; once it has finished, its stored response is replayed
+ * for IDEMPOTENCY_TTL_MS. Reusing a key for a different request is a conflict.
+ *
+ * Keys are scoped to the API key that sent them. Stored responses live in a
+ * pluggable store (IDEMPOTENCY_STORE=memory|file|sqlite); requests in flight
+ * are tracked per process.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+
+// How long a finished response can be replayed (24 hours)
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+// How often expired responses are swept
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+const store = createStore('idempotency', process.env.IDEMPOTENCY_STORE || 'memory');
+
+// Record key -> { fingerprint, finished } for requests still running here
+const inFlight = new Map();
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Store key for an Idempotency-Key sent by one API key. The client's key is
+// hashed so it is safe to use as a file name whatever it contains.
+function recordKeyFor(keyId, idempotencyKey) {
+  return `${keyId}:${sha256(idempotencyKey)}`;
+}
+
+// Hash identifying what a request asks for, so a reused key can be told apart
+// from a genuine retry
+function requestFingerprint(request) {
+  return sha256(JSON.stringify(request));
+}
+
+/**
+ * Claim an Idempotency-Key for a request. Waits for a matching request that
+ * is still in flight, then resolves to one of:
+ * - `{ conflict: true }` when the key was used for a different request
+ * - `{ response }` with the stored response of a finished request
+ * - `{ complete(response) }` when this request should run; call `complete`
+ *   with the response to store (or null to store nothing) once it has finished
+ *
+ * @param {string} keyId - API key that sent the request
+ * @param {string} idempotencyKey - Client-chosen Idempotency-Key
+ * @param {object} request - Everything that identifies the request (route, body, ...)
+ */
+async function claimIdempotencyKey(keyId, idempotencyKey, request) {
+  const recordKey = recordKeyFor(keyId, idempotencyKey);
+  const fingerprint = requestFingerprint(request);
+
+  for (;;) {
+    const running = inFlight.get(recordKey);
+    if (running) {
+      if (running.fingerprint !== fingerprint) return { conflict: true };
+      await running.finished;
+      continue;
+    }
+
+    const record = await store.get(recordKey);
+    // Another request may have claimed the key while the store was read
+    if (inFlight.has(recordKey)) continue;
+
+    if (record && record.expiresAt > Date.now()) {
+      return record.fingerprint === fingerprint ? { response: record.response } : { conflict: true };
+    }
+
+    let release;
+    const finished = new Promise((resolve) => { release = resolve; });
+    inFlight.set(recordKey, { fingerprint, finished });
+
+    return {
+      async complete(response) {
+        try {
+          if (response) {
+            await store.set(recordKey, {
+              fingerprint,
+              response,
+              expiresAt: Date.now() + IDEMPOTENCY_TTL_MS
+            });
+          }
+        } finally {
+          inFlight.delete(recordKey);
+          release();
+        }
+      }
+    };
+  }
+}
+
+// Delete stored responses older than IDEMPOTENCY_TTL_MS
+async function cleanupExpiredResponses() {
+  const now = Date.now();
+  for (const [key, record] of await store.entries()) {
+    if (record.expiresAt <= now) {
+      await store.delete(key);
+    }
+  }
+}
+
+setInterval(() => {
+  cleanupExpiredResponses().catch(error => console.error('Failed to clean up idempotency keys:', error));
+}, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = { claimIdempotencyKey };
@@ -0,0 +1,310 @@
+/**
+ * Asynchronous job queue for VoiceSnap API
+ * Runs operations from the registry in the background so clients can submit
+ * a long generation, disconnect, and fetch the result later.
+ *
+ * Jobs run in-process with a concurrency cap. Job records live in a
+ * pluggable store (JOB_STORE=memory|file|sqlite) so finished results can
+ * outlive the request that created them, and with a persistent backend, a
+ * restart of the server.
+ *
+ * A job may carry a `callback` ({ url, secret }); when it finishes, the result
+ * or error is POSTed there as a signed webhook (see services/webhooks.js).
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const { createKeyedSerializer } = require('./concurrency');
+const { getOperation, recordResult } = require('./operations');
+const { describeError, ErrorCodes } = require('./errors');
+const { deliverWebhook } = require('./webhooks');
+const { createMeter, withMeter, meterTotals, meterModel } = require('./meter');
+const { resolveModel } = require('./claude');
+const { recordUsage } = require('./usage');
+const { cacheKeyFor, getCachedResult, cacheResult } = require('./cache');
+
+// Number of jobs processed at the same time
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+
+// How long finished jobs are kept before being deleted (24 hours)
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+// How often expired jobs are swept
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JobStatus.SUCCEEDED, JobStatus.FAILED, JobStatus.CANCELLED];
+
+const store = createStore('jobs', process.env.JOB_STORE || 'memory');
+
+// Job IDs waiting for a worker, in submission order
+const pending = [];
+
+// Abort controllers for jobs that are currently running
+const running = new Map();
+
+// Record updates are applied one at a time per job, in order
+const serializeUpdates = createKeyedSerializer();
+
+// Generate a unique, unguessable job ID
+function generateJobId() {
+  return `job_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Apply `changes` to a stored job record (serialized per job)
+function updateJob(id, changes) {
+  return serializeUpdates(id, async () => {
+    const job = await store.get(id);
+    if (!job) return null;
+    const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+    await store.set(id, updated);
+    return updated;
+  });
+}
+
+// Mark a queued job as running, in the same serialized step as the check,
+// so a cancellation can't be overwritten. Returns the running job, or null
+// if it is gone or no longer queued (e.g. cancelled).
+function startJob(id) {
+  return serializeUpdates(id, async () => {
+    const job = await store.get(id);
+    if (!job || job.status !== JobStatus.QUEUED) return null;
+    const now = new Date().toISOString();
+    const started = { ...job, status: JobStatus.RUNNING, startedAt: now, updatedAt: now };
+    await store.set(id, started);
+    return started;
+  });
+}
+
+// Public view of a job (never includes the stored input or signing secret)
+function toPublicJob(job) {
+  const { input, callback, ...publicJob } = job;
+  if (callback) publicJob.callbackUrl = callback.url;
+  return publicJob;
+}
+
+// Send the job's outcome to its callback URL, if it has one
+function notifyCallback(job, event, status, payload) {
+  if (!job.callback) return;
+
+  // deliverWebhook retries on its own and never rejects
+  deliverWebhook({
+    url: job.callback.url,
+    secret: job.callback.secret,
+    requestId: job.requestId,
+    jobId: job.id,
+    event,
+    status,
+    payload
+  });
+}
+
+// Start queued jobs while there is spare capacity
+function pump() {
+  while (running.size < JOB_CONCURRENCY && pending.length > 0) {
+    runJob(pending.shift());
+  }
+}
+
+// Run a job's operation, reusing a cached result for identical input unless
+// the job was submitted with Cache-Control: no-cache
+async function runOperation(job, operation, options) {
+  const cacheKey = cacheKeyFor(job.operation, operation, job.input, job.quality);
+  if (cacheKey && !job.refreshCache) {
+    const cached = await getCachedResult(cacheKey);
+    if (cached) {
+      await recordResult(job.operation, job.input, cached, job.keyId);
+      return { body: cached, cache: 'HIT' };
+    }
+  }
+
+  const { body } = await operation.run(job.input, {
+    ...options,
+    refreshCache: job.refreshCache,
+    quality: job.quality,
+    keyId: job.keyId
+  });
+  if (cacheKey) {
+    await cacheResult(cacheKey, body).catch(error => console.error('Failed to cache result:', error));
+  }
+  await recordResult(job.operation, job.input, body, job.keyId);
+  return { body, cache: cacheKey ? 'MISS' : undefined };
+}
+
+async function runJob(id) {
+  const controller = new AbortController();
+  running.set(id, controller);
+
+  const meter = createMeter();
+  let operation;
+  let job;
+  try {
+    job = await startJob(id);
+    if (!job) return;
+
+    operation = getOperation(job.operation);
+
+    const { body, cache } = await withMeter(meter, () => runOperation(job, operation, {
+      signal: controller.signal,
+      onProgress: (progress) => {
+        updateJob(id, { progress: Math.round(progress * 100) / 100 }).catch(() => {});
+      }
+    }));
+
+    // cancelJob has already recorded the final status
+    if (controller.signal.aborted) return;
+
+    await updateJob(id, {
+      status: JobStatus.SUCCEEDED,
+      progress: 1,
+      result: body,
+      usage: meterTotals(meter),
+      // A cache hit made no calls; report the model that produced the result
+      model: cache === 'HIT' ? resolveModel(job.operation, job.quality).model : meterModel(meter),
+      cache,
+      input: undefined,
+      finishedAt: new Date().toISOString()
+    });
+    notifyCallback(job, 'job.succeeded', 200, body);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    const label = operation ? operation.label : 'run job';
+    console.error(`job ${label} error:`, error);
+    const { statusCode, body } = describeError(error, label);
+    await updateJob(id, {
+      status: JobStatus.FAILED,
+      error: body,
+      usage: meterTotals(meter),
+      model: meterModel(meter),
+      input: undefined,
+      finishedAt: new Date().toISOString()
+    }).catch(() => {});
+    if (job) notifyCallback(job, 'job.failed', statusCode, body);
+  } finally {
+    // Tokens are spent whether the job succeeded, failed or was cancelled
+    if (operation) {
+      recordUsage({ keyId: job.keyId, operation: job.operation, meter, requestId: job.requestId, jobId: id });
+    }
+    running.delete(id);
+    pump();
+  }
+}
+
+/**
+ * Queue an operation. `input` must already have been validated with the
+ * operation's `input()` parser.
+ *
+ * @param {string} operationName - Route name from the operation registry
+ * @param {object} input - Validated operation input
+ * @param {object} [meta] - Extra fields stored on the job record, such as
+ *   `requestId`, `keyId`, `callback` ({ url, secret }), `refreshCache` and
+ *   `quality`
+ * @returns {Promise<object>} Public job record
+ */
+async function createJob(operationName, input, meta = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    ...meta,
+    id: generateJobId(),
+    operation: operationName,
+    status: JobStatus.QUEUED,
+    progress: 0,
+    createdAt: now,
+    updatedAt: now,
+    input
+  };
+
+  await store.set(job.id, job);
+  pending.push(job.id);
+  pump();
+
+  return toPublicJob(job);
+}
+
+// Fetch a job by ID (public view), or null if it does not exist
+async function getJob(id) {
+  const job = await store.get(id);
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * Cancel a queued or running job. Finished jobs are left unchanged.
+ *
+ * @returns {Promise<object|null>} Public job record, or null if not found
+ */
+async function cancelJob(id) {
+  const job = await store.get(id);
+  if (!job) return null;
+  if (FINISHED_STATUSES.includes(job.status)) return toPublicJob(job);
+
+  const index = pending.indexOf(id);
+  if (index !== -1) pending.splice(index, 1);
+
+  // Stop the Claude request if the job is in flight. Aborting first means the
+  // worker can no longer record a result over the cancellation.
+  const controller = running.get(id);
+  if (controller) controller.abort();
+
+  const cancelled = await updateJob(id, {
+    status: JobStatus.CANCELLED,
+    input: undefined,
+    finishedAt: new Date().toISOString()
+  });
+
+  return toPublicJob(cancelled);
+}
+
+// Delete finished jobs older than JOB_TTL_MS
+async function cleanupExpiredJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of await store.entries()) {
+    if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.finishedAt) < cutoff) {
+      await store.delete(id);
+    }
+  }
+}
+
+// On startup, requeue jobs that were waiting and fail jobs that were cut off
+// mid-run by a restart (only relevant for persistent stores)
+async function recoverJobs() {
+  for (const [id, job] of await store.entries()) {
+    if (job.status === JobStatus.QUEUED) {
+      pending.push(id);
+    } else if (job.status === JobStatus.RUNNING) {
+      const error = {
+        error: 'Job was interrupted by a server restart. Please resubmit.',
+        code: ErrorCodes.SERVICE_ERROR,
+        retryable: true
+      };
+      await updateJob(id, {
+        status: JobStatus.FAILED,
+        error,
+        input: undefined,
+        finishedAt: new Date().toISOString()
+      });
+      notifyCallback(job, 'job.failed', 500, error);
+    }
+  }
+  pump();
+}
+
+recoverJobs().catch(error => console.error('Failed to recover jobs:', error));
+
+setInterval(() => {
+  cleanupExpiredJobs().catch(error => console.error('Failed to clean up jobs:', error));
+}, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  JobStatus
+};
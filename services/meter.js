@@ -0,0 +1,70 @@
+/**
+ * Token metering for Claude calls
+ *
+ * A meter follows one unit of work (a request or a job) through every Claude
+ * call it makes, including retries, continuations and map-reduce chunks,
+ * without having to thread it through each function. Calls made outside a
+ * meter are not counted.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const meterStorage = new AsyncLocalStorage();
+
+// A fresh meter: call count, repair count and token totals per model
+function createMeter() {
+  return { calls: 0, repairs: 0, models: {} };
+}
+
+// Run `fn` with `meter` collecting the token usage of every Claude call it makes
+function withMeter(meter, fn) {
+  return meterStorage.run(meter, fn);
+}
+
+/**
+ * Add one model response's usage to the current meter, if any.
+ *
+ * @param {string} model - Model the tokens were billed for
+ * @param {{inputTokens: number, outputTokens: number}} usage - Provider's usage for the response
+ */
+function recordTokenUsage(model, usage) {
+  const meter = meterStorage.getStore();
+  if (!meter || !usage) return;
+
+  const totals = meter.models[model] || (meter.models[model] = { inputTokens: 0, outputTokens: 0 });
+  totals.inputTokens += usage.inputTokens || 0;
+  totals.outputTokens += usage.outputTokens || 0;
+  meter.calls++;
+}
+
+// Count a call that asked the model to correct invalid structured output
+function recordRepair() {
+  const meter = meterStorage.getStore();
+  if (meter) meter.repairs++;
+}
+
+// Token totals across all models
+function meterTotals(meter) {
+  let inputTokens = 0;
+  let outputTokens = 0;
+  for (const totals of Object.values(meter.models)) {
+    inputTokens += totals.inputTokens;
+    outputTokens += totals.outputTokens;
+  }
+  return { inputTokens, outputTokens };
+}
+
+// Models the metered work called, comma separated, or null if it made no calls
+function meterModel(meter) {
+  const models = Object.keys(meter.models);
+  return models.length > 0 ? models.join(', ') : null;
+}
+
+module.exports = {
+  createMeter,
+  withMeter,
+  recordTokenUsage,
+  recordRepair,
+  meterTotals,
+  meterModel
+};
@@ -0,0 +1,131 @@
+/**
+ * Per-key request metrics for VoiceSnap API
+ *
+ * Aggregates the structured log entries written by middleware/logger.js
+ * ("Request completed" and the "Token usage" analytics event) into per-key
+ * counters for the admin API. Counters are kept in memory and reset when the
+ * server restarts.
+ */
+
+const { onLogEntry } = require('../middleware/logger');
+
+const startedAt = new Date().toISOString();
+
+// keyId -> counters
+const keyMetrics = new Map();
+
+function createCounters() {
+  return {
+    requests: 0,
+    clientErrors: 0,
+    serverErrors: 0,
+    totalDurationMs: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    lastRequestAt: null,
+    endpoints: {},
+    operations: {}
+  };
+}
+
+function getCounters(keyId) {
+  if (!keyMetrics.has(keyId)) {
+    keyMetrics.set(keyId, createCounters());
+  }
+  return keyMetrics.get(keyId);
+}
+
+function getEndpoint(counters, path) {
+  if (!counters.endpoints[path]) {
+    counters.endpoints[path] = { requests: 0, errors: 0 };
+  }
+  return counters.endpoints[path];
+}
+
+function getOperation(counters, name) {
+  if (!counters.operations[name]) {
+    counters.operations[name] = { runs: 0, repairs: 0, inputTokens: 0, outputTokens: 0 };
+  }
+  return counters.operations[name];
+}
+
+function recordRequest({ keyId, path, route, statusCode, durationMs, cache, timestamp }) {
+  const counters = getCounters(keyId);
+  // Group by route pattern so /api/jobs/:id is one endpoint, not one per job
+  const endpoint = getEndpoint(counters, route || path);
+  const failed = statusCode >= 400;
+
+  counters.requests++;
+  counters.totalDurationMs += durationMs || 0;
+  counters.lastRequestAt = timestamp;
+  if (statusCode >= 500) counters.serverErrors++;
+  else if (failed) counters.clientErrors++;
+  if (cache === 'HIT') counters.cacheHits++;
+  else if (cache === 'MISS') counters.cacheMisses++;
+
+  endpoint.requests++;
+  if (failed) endpoint.errors++;
+}
+
+// Token usage is attributed to the operation that ran, whether it was called
+// directly or through a job
+function recordTokens({ keyId, operation, repairs = 0, inputTokens = 0, outputTokens = 0 }) {
+  const counters = getCounters(keyId);
+  const operationCounters = getOperation(counters, operation);
+
+  counters.inputTokens += inputTokens;
+  counters.outputTokens += outputTokens;
+  operationCounters.runs++;
+  operationCounters.repairs += repairs;
+  operationCounters.inputTokens += inputTokens;
+  operationCounters.outputTokens += outputTokens;
+}
+
+// Only authenticated requests are attributed to a key
+onLogEntry((entry) => {
+  if (!entry.keyId) return;
+
+  if (entry.message === 'Request completed') {
+    recordRequest(entry);
+  } else if (entry.message === 'Token usage') {
+    recordTokens(entry);
+  }
+});
+
+// Fraction rounded to three decimals (0 when there is nothing to divide)
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+// Public view of one key's counters, with derived rates
+function summarize(counters) {
+  const { totalDurationMs, ...rest } = counters;
+  const errors = counters.clientErrors + counters.serverErrors;
+  return {
+    ...rest,
+    errorRate: rate(errors, counters.requests),
+    averageDurationMs: counters.requests > 0 ? Math.round(totalDurationMs / counters.requests) : 0,
+    cacheHitRate: rate(counters.cacheHits, counters.cacheHits + counters.cacheMisses)
+  };
+}
+
+// Metrics for one key (zeroed if the key has not made any requests)
+function getKeyMetrics(keyId) {
+  return summarize(keyMetrics.get(keyId) || createCounters());
+}
+
+// Metrics for every key seen since startup
+function getAllMetrics() {
+  const keys = {};
+  for (const [keyId, counters] of keyMetrics) {
+    keys[keyId] = summarize(counters);
+  }
+  return { since: startedAt, keys };
+}
+
+module.exports = {
+  getKeyMetrics,
+  getAllMetrics
+};
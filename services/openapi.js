@@ -0,0 +1,461 @@
+/**
+ * OpenAPI 3.1 document for VoiceSnap API
+ *
+ * The operation routes (POST /api/<name>) are generated from the operation
+ * registry and the structured-output schemas; every other route is described
+ * in ROUTES below. server.js calls assertRoutesDocumented at startup, so a
+ * route cannot be added without a spec entry.
+ */
+
+const { version } = require('../package.json');
+const { operations } = require('./operations');
+const { ErrorCodes } = require('./errors');
+const { ClaudeErrorCodes } = require('./claude');
+const { listSchemas, schemaDocument, schemaRef } = require('./schemas');
+const { QUALITY_TIERS } = require('./providers');
+const { MAX_GRADE } = require('./reviews');
+
+// Codes sent directly by server.js and individual routes
+const OTHER_ERROR_CODES = [
+  'NOT_FOUND', 'KEY_REVOKED', 'REQUEST_TIMEOUT', 'INVALID_JSON',
+  'PAYLOAD_TOO_LARGE', 'CORS_ERROR', 'INTERNAL_ERROR'
+];
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Missing, invalid, revoked or expired key',
+  403: 'Endpoint or quality tier not allowed for the API key',
+  404: 'Not found',
+  409: 'Conflict',
+  422: 'Idempotency-Key reused for a different request',
+  429: 'Rate limit or monthly token quota reached',
+  500: 'Generation failed',
+  503: 'Model provider unavailable',
+  504: 'Model provider timed out'
+};
+
+const json = (schema) => ({ 'application/json': { schema } });
+const object = (properties, required) => ({ type: 'object', properties, ...(required && { required }) });
+
+// A JSON response with the given top-level fields
+const ok = (properties, description = 'OK') => ({ description, content: json(object(properties)) });
+
+// Error responses for the given statuses
+function errors(...statuses) {
+  return Object.fromEntries(statuses.map(status => [status, {
+    description: ERROR_DESCRIPTIONS[status],
+    content: json(schemaRef('Error'))
+  }]));
+}
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'string' }, description });
+const queryParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', schema, description });
+
+const DATE_RANGE = [
+  queryParam('from', 'First day (UTC), YYYY-MM-DD. Defaults to 30 days ago.', { type: 'string', format: 'date' }),
+  queryParam('to', 'Last day (UTC), YYYY-MM-DD. Defaults to today.', { type: 'string', format: 'date' })
+];
+
+const IDEMPOTENCY_KEY = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  schema: { type: 'string', minLength: 1, maxLength: 255 },
+  description: 'Makes retrying the POST safe: a repeat gets the stored response instead of running again'
+};
+
+const CACHE_CONTROL = {
+  name: 'Cache-Control',
+  in: 'header',
+  schema: { type: 'string', enum: ['no-cache'] },
+  description: 'Skip the response cache and replace the cached result'
+};
+
+const STREAM = {
+  name: 'stream',
+  in: 'query',
+  schema: { type: 'string', enum: ['1'] },
+  description: 'Stream the output as Server-Sent Events (same as Accept: text/event-stream)'
+};
+
+// Headers on every AI response
+const AI_HEADERS = {
+  'X-Tokens-Input': { schema: { type: 'integer' }, description: 'Input tokens used' },
+  'X-Tokens-Output': { schema: { type: 'integer' }, description: 'Output tokens used' },
+  'X-Cache': { schema: { type: 'string', enum: ['HIT', 'MISS'] }, description: 'Whether the response came from the cache' },
+  'X-Model': { schema: { type: 'string' }, description: 'Model(s) that produced the response' }
+};
+
+// Body fields every operation route accepts besides its own
+const OPERATION_FIELDS = {
+  quality: { type: 'string', enum: QUALITY_TIERS, description: "Model tier; defaults to the endpoint's tier" },
+  callbackUrl: { type: 'string', format: 'uri', description: 'Run as a job and POST the result here instead of responding with it' }
+};
+
+const API_KEY = [{ apiKey: [] }];
+const ADMIN_KEY = [{ adminKey: [] }];
+
+const components = {
+  securitySchemes: {
+    apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+    adminKey: { type: 'apiKey', in: 'header', name: 'x-admin-key' }
+  },
+  schemas: {
+    Error: object({
+      error: { type: 'string' },
+      code: {
+        type: 'string',
+        enum: [...new Set([...Object.values(ErrorCodes), ...Object.values(ClaudeErrorCodes), ...OTHER_ERROR_CODES])]
+      },
+      retryable: { type: 'boolean' }
+    }, ['error', 'code']),
+    Usage: object({ inputTokens: { type: 'integer' }, outputTokens: { type: 'integer' } }),
+    Job: object({
+      id: { type: 'string' },
+      operation: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] },
+      progress: { type: 'number', minimum: 0, maximum: 1 },
+      result: { type: 'object', description: 'Response body of the operation, once succeeded' },
+      error: schemaRef('Error'),
+      usage: schemaRef('Usage'),
+      model: { type: ['string', 'null'] },
+      quality: { type: 'string', enum: QUALITY_TIERS },
+      cache: { type: 'string', enum: ['HIT', 'MISS'] },
+      callbackUrl: { type: 'string' },
+      requestId: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: 'string', format: 'date-time' }
+    }, ['id', 'operation', 'status', 'progress']),
+    ApiKey: object({
+      id: { type: 'string' },
+      name: { type: 'string' },
+      owner: { type: ['string', 'null'] },
+      scopes: { type: 'array', items: { type: 'string' } },
+      plan: { type: 'string' },
+      limits: object({ requestsPerMinute: { type: ['integer', 'null'] }, tokensPerMonth: { type: ['integer', 'null'] } }),
+      qualityTiers: { type: ['array', 'null'], items: { type: 'string', enum: QUALITY_TIERS } },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: ['string', 'null'], format: 'date-time' },
+      revoked: { type: 'boolean' },
+      revokedAt: { type: ['string', 'null'], format: 'date-time' }
+    }),
+    ApiKeyFields: object({
+      name: { type: 'string' },
+      owner: { type: ['string', 'null'] },
+      scopes: { type: 'array', items: { type: 'string' }, description: "Route names, or ['*'] for all" },
+      plan: { type: 'string' },
+      limits: object({ requestsPerMinute: { type: ['integer', 'null'] }, tokensPerMonth: { type: ['integer', 'null'] } }),
+      qualityTiers: { type: ['array', 'null'], items: { type: 'string', enum: QUALITY_TIERS } },
+      expiresAt: { type: ['string', 'null'], format: 'date-time' }
+    }),
+    UsageReport: { type: 'object', description: 'Requests, tokens and estimated cost per endpoint and per day' },
+    ReviewCard: object({
+      id: { type: 'string' },
+      deck: { type: 'string' },
+      front: { type: 'string' },
+      back: { type: 'string' },
+      repetitions: { type: 'integer', description: 'Passing reviews in a row' },
+      interval: { type: 'integer', description: 'Days between the last review and the next' },
+      easeFactor: { type: 'number', minimum: 1.3 },
+      due: { type: 'string', format: 'date-time' },
+      reviews: { type: 'integer' },
+      lastGrade: { type: 'integer', minimum: 0, maximum: MAX_GRADE },
+      lastReviewedAt: { type: 'string', format: 'date-time' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }),
+    ...Object.fromEntries(listSchemas().map(name => {
+      const { $schema, $id, ...schema } = schemaDocument(name);
+      return [name, schema];
+    }))
+  }
+};
+
+// Every route that is not an operation
+const ROUTES = {
+  '/': {
+    get: { summary: 'Health check', tags: ['Service'], responses: { 200: ok({ status: { type: 'string' }, message: { type: 'string' }, timestamp: { type: 'string' } }) } }
+  },
+  '/api/jobs': {
+    post: {
+      summary: 'Queue an operation to run in the background',
+      tags: ['Jobs'],
+      security: API_KEY,
+      parameters: [IDEMPOTENCY_KEY, CACHE_CONTROL],
+      requestBody: {
+        required: true,
+        content: json(object({
+          operation: { type: 'string', enum: Object.keys(operations) },
+          body: { type: 'object', description: "The operation's request fields, including quality" },
+          callbackUrl: OPERATION_FIELDS.callbackUrl
+        }, ['operation', 'body']))
+      },
+      responses: { 202: ok({ job: schemaRef('Job') }, 'Queued'), ...errors(400, 401, 403, 422, 429) }
+    }
+  },
+  '/api/jobs/{id}': {
+    get: {
+      summary: 'Job status, progress and result',
+      tags: ['Jobs'],
+      security: API_KEY,
+      parameters: [pathParam('id')],
+      responses: { 200: ok({ job: schemaRef('Job') }), ...errors(401, 404, 429) }
+    },
+    delete: {
+      summary: 'Cancel a queued or running job',
+      tags: ['Jobs'],
+      security: API_KEY,
+      parameters: [pathParam('id')],
+      responses: { 200: ok({ job: schemaRef('Job') }), ...errors(401, 404, 429) }
+    }
+  },
+  '/api/usage': {
+    get: {
+      summary: 'Token usage, estimated cost and quota for your key',
+      tags: ['Usage'],
+      security: API_KEY,
+      parameters: DATE_RANGE,
+      responses: { 200: ok({ usage: schemaRef('UsageReport'), quota: { type: 'object' } }), ...errors(400, 401, 429) }
+    }
+  },
+  '/api/flashcards/review': {
+    post: {
+      summary: 'Record recall grades for flashcards and schedule their next reviews',
+      tags: ['Flashcards'],
+      security: API_KEY,
+      parameters: [IDEMPOTENCY_KEY],
+      requestBody: {
+        required: true,
+        content: json(object({
+          deck: { type: 'string', description: 'Deck ID from /api/flashcards' },
+          userId: { type: 'string', description: "Keep review state per user of the key instead of for the key as a whole" },
+          reviews: {
+            type: 'array',
+            maxItems: 100,
+            items: object({
+              id: { type: 'string' },
+              front: { type: 'string', description: "Required on a card's first review" },
+              back: { type: 'string', description: "Required on a card's first review" },
+              grade: { type: 'integer', minimum: 0, maximum: MAX_GRADE, description: 'Recall from 0 (forgot) to 5 (perfect); 3 and up is a pass' }
+            }, ['grade'])
+          }
+        }, ['deck', 'reviews']))
+      },
+      responses: { 200: ok({ deck: { type: 'string' }, cards: { type: 'array', items: schemaRef('ReviewCard') } }), ...errors(400, 401, 403, 422, 429) }
+    }
+  },
+  '/api/flashcards/due': {
+    get: {
+      summary: 'Flashcards due for review now, most overdue first',
+      tags: ['Flashcards'],
+      security: API_KEY,
+      parameters: [
+        queryParam('deck', 'Only this deck (all decks by default)'),
+        queryParam('userId', 'User whose review state to read'),
+        queryParam('limit', 'Maximum number of cards (default 50)', { type: 'integer', minimum: 1, maximum: 500 })
+      ],
+      responses: {
+        200: ok({
+          cards: { type: 'array', items: schemaRef('ReviewCard') },
+          total: { type: 'integer', description: 'Number of cards due, including any past the limit' },
+          nextDue: { type: ['string', 'null'], format: 'date-time', description: 'When the next card that is not due yet will be' }
+        }),
+        ...errors(400, 401, 403, 429)
+      }
+    }
+  },
+  '/api/schemas': {
+    get: {
+      summary: 'JSON Schemas of the structured responses',
+      tags: ['Schemas'],
+      responses: { 200: ok({ schemas: { type: 'object', additionalProperties: { type: 'object' } } }) }
+    }
+  },
+  '/api/schemas/{name}': {
+    get: {
+      summary: 'One JSON Schema document',
+      tags: ['Schemas'],
+      parameters: [pathParam('name', listSchemas().join(', '))],
+      responses: { 200: { description: 'JSON Schema (draft 2020-12)', content: json({ type: 'object' }) }, ...errors(404) }
+    }
+  },
+  '/api/docs/': {
+    get: { summary: 'Interactive docs page', tags: ['Service'], responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } } }
+  },
+  '/api/openapi.json': {
+    get: { summary: 'This document', tags: ['Service'], responses: { 200: { description: 'OpenAPI 3.1 document', content: json({ type: 'object' }) } } }
+  },
+  '/admin/keys': {
+    get: { summary: 'List keys (metadata only)', tags: ['Admin'], security: ADMIN_KEY, responses: { 200: ok({ keys: { type: 'array', items: schemaRef('ApiKey') } }), ...errors(401) } },
+    post: {
+      summary: 'Create a key',
+      tags: ['Admin'],
+      security: ADMIN_KEY,
+      requestBody: { required: true, content: json(schemaRef('ApiKeyFields')) },
+      responses: { 201: ok({ key: { type: 'string', description: 'Shown once' }, apiKey: schemaRef('ApiKey') }, 'Created'), ...errors(400, 401) }
+    }
+  },
+  '/admin/keys/{id}': {
+    get: {
+      summary: 'Key metadata, token quota and metrics',
+      tags: ['Admin'],
+      security: ADMIN_KEY,
+      parameters: [pathParam('id')],
+      responses: { 200: ok({ apiKey: schemaRef('ApiKey'), quota: { type: 'object' }, metrics: { type: 'object' } }), ...errors(401, 404) }
+    },
+    patch: {
+      summary: 'Change a key',
+      tags: ['Admin'],
+      security: ADMIN_KEY,
+      parameters: [pathParam('id')],
+      requestBody: { required: true, content: json(schemaRef('ApiKeyFields')) },
+      responses: { 200: ok({ apiKey: schemaRef('ApiKey') }), ...errors(400, 401, 404) }
+    }
+  },
+  '/admin/keys/{id}/usage': {
+    get: {
+      summary: 'Token usage ledger for a key',
+      tags: ['Admin'],
+      security: ADMIN_KEY,
+      parameters: [pathParam('id', 'Key ID, or "legacy" for API_SECRET_KEY'), ...DATE_RANGE],
+      responses: { 200: ok({ usage: schemaRef('UsageReport') }), ...errors(400, 401, 404) }
+    }
+  },
+  '/admin/keys/{id}/revoke': {
+    post: {
+      summary: 'Revoke a key immediately',
+      tags: ['Admin'],
+      security: ADMIN_KEY,
+      parameters: [pathParam('id')],
+      responses: { 200: ok({ apiKey: schemaRef('ApiKey') }), ...errors(401, 404) }
+    }
+  },
+  '/admin/keys/{id}/rotate': {
+    post: {
+      summary: 'Issue a replacement key',
+      tags: ['Admin'],
+      security: ADMIN_KEY,
+      parameters: [pathParam('id')],
+      requestBody: { content: json(object({ gracePeriodHours: { type: 'number', minimum: 0, default: 24 } })) },
+      responses: {
+        201: ok({ key: { type: 'string', description: 'Shown once' }, apiKey: schemaRef('ApiKey'), previous: schemaRef('ApiKey') }, 'Created'),
+        ...errors(400, 401, 404, 409)
+      }
+    }
+  },
+  '/admin/plans': {
+    get: { summary: 'Plans and their limits', tags: ['Admin'], security: ADMIN_KEY, responses: { 200: ok({ plans: { type: 'object' } }), ...errors(401) } }
+  },
+  '/admin/models': {
+    get: {
+      summary: 'Quality tier and per-endpoint models, allowlist',
+      tags: ['Admin'],
+      security: ADMIN_KEY,
+      responses: {
+        200: ok({
+          mode: { type: ['string', 'null'] },
+          tiers: { type: 'object' },
+          endpoints: { type: 'object' },
+          defaultQuality: { type: 'string' },
+          allowedModels: { type: ['array', 'null'], items: { type: 'string' } }
+        }),
+        ...errors(401)
+      }
+    }
+  },
+  '/admin/metrics': {
+    get: {
+      summary: 'Metrics for every key',
+      tags: ['Admin'],
+      security: ADMIN_KEY,
+      responses: { 200: ok({ since: { type: 'string', format: 'date-time' }, keys: { type: 'object' } }), ...errors(401) }
+    }
+  }
+};
+
+// POST /api/<name> for one operation from the registry
+function operationPath(name, operation) {
+  const content = json(object(operation.response));
+  if (operation.streamable) {
+    content['text/event-stream'] = {
+      schema: {
+        type: 'string',
+        description: '`delta` events ({ text }), then `done` (the JSON response plus usage, model and requestId) or `error`'
+      }
+    };
+  }
+
+  return {
+    post: {
+      summary: operation.description,
+      tags: ['Operations'],
+      security: API_KEY,
+      parameters: [IDEMPOTENCY_KEY, CACHE_CONTROL, ...(operation.streamable ? [STREAM] : [])],
+      requestBody: {
+        required: true,
+        content: json({
+          ...operation.request,
+          properties: { ...operation.request.properties, ...OPERATION_FIELDS }
+        })
+      },
+      responses: {
+        200: { description: 'OK', headers: AI_HEADERS, content },
+        202: ok({ job: schemaRef('Job') }, 'Queued as a job because callbackUrl was given'),
+        ...errors(400, 401, 403, 422, 429, 500, 503, 504)
+      }
+    }
+  };
+}
+
+let document;
+
+// The OpenAPI document, built on first use
+function getOpenApiDocument() {
+  if (!document) {
+    document = {
+      openapi: '3.1.0',
+      info: {
+        title: 'VoiceSnap API',
+        version,
+        description: 'AI transformations of audio transcripts: summaries, notes, flashcards, quizzes, translation and more.'
+      },
+      servers: [{ url: '/' }],
+      paths: {
+        ...Object.fromEntries(Object.entries(operations).map(([name, operation]) => [`/api/${name}`, operationPath(name, operation)])),
+        ...ROUTES
+      },
+      components
+    };
+  }
+  return document;
+}
+
+/**
+ * Routes registered on an Express app or router, as { method, path } with
+ * the path in OpenAPI form (/api/jobs/{id}).
+ *
+ * @param {object} router - Express router (or app._router)
+ * @param {string} [prefix] - Path the router is mounted at
+ */
+function registeredRoutes(router, prefix = '') {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method,
+      path: (prefix + layer.route.path).replace(/(.)\/$/, '$1').replace(/:(\w+)/g, '{$1}')
+    })));
+}
+
+// Throw if any of `routes` has no entry in the OpenAPI document
+function assertRoutesDocumented(routes) {
+  const { paths } = getOpenApiDocument();
+  const missing = routes.filter(({ method, path }) => !paths[path]?.[method]);
+  if (missing.length > 0) {
+    throw new Error(`Routes missing from the OpenAPI spec (services/openapi.js): ${missing.map(({ method, path }) => `${method.toUpperCase()} ${path}`).join(', ')}`);
+  }
+}
+
+module.exports = {
+  getOpenApiDocument,
+  registeredRoutes,
+  assertRoutesDocumented
+};
@@ -0,0 +1,80 @@
+/**
+ * Plan tiers for VoiceSnap API keys
+ *
+ * A plan sets how many requests per minute a key may make and how many
+ * tokens (input + output) it may use per calendar month (UTC). Keys can
+ * override either limit individually (see `limits` in services/apiKeys.js).
+ *
+ * Override or add plans with PLANS, e.g.
+ *   PLANS='{"pro": {"requestsPerMinute": 120, "tokensPerMonth": 10000000}}'
+ * A limit of null means unlimited.
+ */
+
+const DEFAULT_PLANS = {
+  free: { requestsPerMinute: 10, tokensPerMonth: 200000 },
+  pro: { requestsPerMinute: 60, tokensPerMonth: 5000000 },
+  team: { requestsPerMinute: 300, tokensPerMonth: 50000000 }
+};
+
+// Plan given to new keys, and to keys created before plans existed
+const DEFAULT_PLAN = process.env.DEFAULT_PLAN || 'free';
+
+// Built-in plans with PLANS applied on top
+function loadPlans() {
+  if (!process.env.PLANS) return DEFAULT_PLANS;
+
+  try {
+    const overrides = JSON.parse(process.env.PLANS);
+    const plans = { ...DEFAULT_PLANS };
+    for (const [name, limits] of Object.entries(overrides)) {
+      plans[name] = { ...DEFAULT_PLANS[name], ...limits };
+    }
+    return plans;
+  } catch (error) {
+    console.error('Invalid PLANS, using default plans:', error.message);
+    return DEFAULT_PLANS;
+  }
+}
+
+const plans = loadPlans();
+
+if (!plans[DEFAULT_PLAN]) {
+  throw new Error(`DEFAULT_PLAN '${DEFAULT_PLAN}' is not a known plan. Use one of: ${Object.keys(plans).join(', ')}`);
+}
+
+// Look up a plan by name, or undefined
+function getPlan(name) {
+  return Object.prototype.hasOwnProperty.call(plans, name) ? plans[name] : undefined;
+}
+
+// All plans and their limits
+function listPlans() {
+  return { ...plans };
+}
+
+/**
+ * The limits that apply to a key: its plan's limits with any per-key
+ * overrides on top. A key without a plan (the legacy API_SECRET_KEY) is
+ * unlimited.
+ *
+ * @returns {{plan: string|null, requestsPerMinute: number|null, tokensPerMonth: number|null}}
+ */
+function effectiveLimits(apiKey) {
+  if (apiKey.plan === null) {
+    return { plan: null, requestsPerMinute: null, tokensPerMonth: null };
+  }
+
+  const plan = apiKey.plan || DEFAULT_PLAN;
+  const limits = { plan, ...(getPlan(plan) || getPlan(DEFAULT_PLAN)) };
+  for (const [name, value] of Object.entries(apiKey.limits || {})) {
+    if (value !== null && value !== undefined) limits[name] = value;
+  }
+  return limits;
+}
+
+module.exports = {
+  getPlan,
+  listPlans,
+  effectiveLimits,
+  DEFAULT_PLAN
+};
@@ -0,0 +1,78 @@
+/**
+ * Anthropic provider: Claude through the official SDK
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+// Model for each quality tier unless QUALITY_TIERS or LLM_MODEL say otherwise
+const TIER_MODELS = {
+  fast: 'claude-3-5-haiku-20241022',
+  balanced: DEFAULT_MODEL,
+  best: 'claude-opus-4-20250514'
+};
+
+function createAnthropicProvider() {
+  const client = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    timeout: 60000, // 60 second timeout
+  });
+
+  const toParams = ({ model, maxTokens, messages, output }) => ({
+    model,
+    max_tokens: maxTokens,
+    messages,
+    // Structured output by forcing a call to a tool whose input is the schema
+    ...(output && {
+      tools: [{ name: output.name, description: output.description, input_schema: output.schema }],
+      tool_choice: { type: 'tool', name: output.name }
+    })
+  });
+
+  // A Messages API response with its first text block pulled out, or the
+  // tool input as JSON when structured output was forced
+  function toResult(message) {
+    const content = Array.isArray(message.content) ? message.content : [];
+    const toolUse = content.find(c => c.type === 'tool_use');
+    const textContent = content.find(c => c.type === 'text');
+
+    return {
+      text: toolUse
+        ? JSON.stringify(toolUse.input)
+        : (typeof textContent?.text === 'string' ? textContent.text : null),
+      stopReason: message.stop_reason,
+      raw: message
+    };
+  }
+
+  return {
+    name: 'anthropic',
+    label: 'Claude',
+    defaultModel: DEFAULT_MODEL,
+
+    async complete(request, { signal } = {}) {
+      return toResult(await client.messages.create(toParams(request), { signal }));
+    },
+
+    async stream(request, { onText, signal } = {}) {
+      const stream = client.messages.stream(toParams(request), { signal });
+      stream.on('text', onText);
+      try {
+        return toResult(await stream.finalMessage());
+      } catch (error) {
+        error.raw = stream.currentMessage;
+        throw error;
+      }
+    },
+
+    usage(message) {
+      return {
+        inputTokens: message?.usage?.input_tokens || 0,
+        outputTokens: message?.usage?.output_tokens || 0
+      };
+    }
+  };
+}
+
+module.exports = { createAnthropicProvider, DEFAULT_MODEL, TIER_MODELS };
@@ -0,0 +1,111 @@
+/**
+ * Recorded responses for offline development and tests
+ *
+ * In record mode every response from the real provider is saved as a
+ * fixture; in replay mode responses are served from those fixtures and the
+ * network is never touched. Fixtures are keyed by a hash of the request (the
+ * model, messages, max token budget and structured output schema), so the
+ * same request always maps to the same file, and a response recorded for one
+ * model or schema is never replayed for another. Each fixture is one JSON file:
+ *   { request: { endpoint, model, maxTokens, messages, output },
+ *     response: { text, stopReason, usage: { inputTokens, outputTokens } },
+ *     recordedAt }
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createFileStore } = require('../stores/file');
+const { DATA_DIR } = require('../stores');
+
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(DATA_DIR, 'fixtures');
+
+// Fixture key for a provider request
+function fixtureKey({ model, messages, maxTokens, output }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ model, messages, maxTokens, output: output || null }))
+    .digest('hex');
+}
+
+function createFixtureStore() {
+  return createFileStore(FIXTURES_DIR);
+}
+
+// Wraps a real provider and saves each successful response as a fixture
+function createRecordingProvider(provider, store = createFixtureStore()) {
+  async function save(request, result) {
+    try {
+      await store.set(fixtureKey(request), {
+        request,
+        response: {
+          text: result.text,
+          stopReason: result.stopReason,
+          usage: provider.usage(result.raw)
+        },
+        recordedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Failed to record LLM fixture:', error);
+    }
+    return result;
+  }
+
+  return {
+    ...provider,
+
+    async complete(request, options) {
+      return save(request, await provider.complete(request, options));
+    },
+
+    async stream(request, options) {
+      return save(request, await provider.stream(request, options));
+    }
+  };
+}
+
+// Serves recorded fixtures; a prompt without one fails with FIXTURE_NOT_FOUND
+function createReplayProvider(store = createFixtureStore()) {
+  // A provider result built from the recorded response
+  async function load(request) {
+    const key = fixtureKey(request);
+    const fixture = await store.get(key);
+    if (!fixture) {
+      const error = new Error(`No recorded response for this prompt (fixture ${key}). Record it with LLM_MODE=record.`);
+      error.code = 'FIXTURE_NOT_FOUND';
+      throw error;
+    }
+
+    const { text, stopReason } = fixture.response;
+    return { text, stopReason, raw: fixture.response };
+  }
+
+  return {
+    name: 'replay',
+    label: 'Replay',
+    defaultModel: null,
+
+    async complete(request) {
+      return load(request);
+    },
+
+    async stream(request, { onText }) {
+      const result = await load(request);
+      for (const delta of (result.text || '').match(/\S+\s*/g) || []) {
+        onText(delta);
+      }
+      return result;
+    },
+
+    usage(raw) {
+      return {
+        inputTokens: raw?.usage?.inputTokens || 0,
+        outputTokens: raw?.usage?.outputTokens || 0
+      };
+    }
+  };
+}
+
+module.exports = {
+  createRecordingProvider,
+  createReplayProvider,
+  FIXTURES_DIR
+};
@@ -0,0 +1,266 @@
+/**
+ * Pluggable LLM providers
+ *
+ * Every provider exposes the same interface:
+ * - complete(request, { signal }) -> { text, stopReason, raw }
+ * - stream(request, { onText, signal }) -> the same, passing each text delta
+ *   to `onText`. If it fails part way, the error carries the partial `raw`
+ *   response so the tokens generated so far can still be counted.
+ * - usage(raw) -> { inputTokens, outputTokens } billed for a raw response
+ * plus `name`, `label` (used in error messages) and `defaultModel`.
+ *
+ * A request is `{ endpoint, model, maxTokens, messages, output }` with
+ * messages in user/assistant form. `output`, when set, is
+ * `{ name, description, schema }`: the provider should force JSON matching
+ * that object schema (tool use, a JSON schema response format) and return it
+ * as `text`. `text` is null when the response has no text, and `stopReason`
+ * uses Anthropic's values (`end_turn`, `max_tokens`, ...).
+ * Retries and error categorization are shared (services/claude.js).
+ *
+ * Backends:
+ * - `anthropic` (default): Claude through the Anthropic SDK
+ * - `openai`: any OpenAI-compatible Chat Completions endpoint, including
+ *   local servers (llama.cpp, Ollama, vLLM)
+ * - `mock`: deterministic canned responses, no network
+ *
+ * LLM_PROVIDER picks the provider and LLM_MODEL its model. Individual
+ * endpoints can be pointed elsewhere with LLM_ENDPOINT_PROVIDERS, e.g.
+ *   LLM_ENDPOINT_PROVIDERS='{"translate": "openai", "chat": {"provider": "anthropic", "model": "claude-3-5-haiku-latest"}}'
+ *
+ * Requests can pick a quality tier (fast, balanced, best). QUALITY_TIERS maps
+ * tiers to models, ENDPOINT_QUALITY sets each endpoint's default tier, and
+ * ALLOWED_MODELS, if set, lists the only models the configuration may use.
+ *
+ * LLM_MODE switches every endpoint away from live calls:
+ * - `record`: call the configured providers and save each response as a
+ *   fixture (see ./fixtures.js)
+ * - `replay`: answer from saved fixtures only, without network access
+ * - `mock`: use the mock provider everywhere
+ */
+
+const anthropic = require('./anthropic');
+const openai = require('./openai');
+const mock = require('./mock');
+const { createRecordingProvider, createReplayProvider } = require('./fixtures');
+
+const factories = {
+  anthropic: anthropic.createAnthropicProvider,
+  openai: openai.createOpenAIProvider,
+  mock: mock.createMockProvider
+};
+
+// Model each provider uses when none is configured
+const DEFAULT_MODELS = {
+  anthropic: anthropic.DEFAULT_MODEL,
+  openai: openai.DEFAULT_MODEL,
+  mock: mock.DEFAULT_MODEL
+};
+
+// Built-in model per quality tier for each provider
+const TIER_MODELS = {
+  anthropic: anthropic.TIER_MODELS,
+  openai: openai.TIER_MODELS,
+  mock: mock.TIER_MODELS
+};
+
+// Quality tiers a request can ask for, cheapest first
+const QUALITY_TIERS = ['fast', 'balanced', 'best'];
+
+// Tier used by endpoints without a default of their own
+const DEFAULT_QUALITY = 'balanced';
+
+// Built-in per-endpoint tiers: plain rewrites don't need the default model
+const DEFAULT_ENDPOINT_QUALITY = {
+  punctuation: 'fast',
+  casual: 'fast',
+  subtitles: 'fast'
+};
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'anthropic';
+
+function assertKnownProvider(name, setting) {
+  if (!Object.prototype.hasOwnProperty.call(factories, name)) {
+    throw new Error(`${setting} '${name}' is not a known provider. Use one of: ${Object.keys(factories).join(', ')}`);
+  }
+}
+
+function assertKnownQuality(quality, setting) {
+  if (!QUALITY_TIERS.includes(quality)) {
+    throw new Error(`${setting} '${quality}' is not a known quality tier. Use one of: ${QUALITY_TIERS.join(', ')}`);
+  }
+}
+
+assertKnownProvider(DEFAULT_PROVIDER, 'LLM_PROVIDER');
+
+const LLM_MODES = ['record', 'replay', 'mock'];
+const LLM_MODE = process.env.LLM_MODE || null;
+
+if (LLM_MODE && !LLM_MODES.includes(LLM_MODE)) {
+  throw new Error(`LLM_MODE '${LLM_MODE}' is not a known mode. Use one of: ${LLM_MODES.join(', ')}`);
+}
+
+const mockTarget = { provider: 'mock', model: mock.DEFAULT_MODEL };
+
+const defaultTarget = {
+  provider: DEFAULT_PROVIDER,
+  model: process.env.LLM_MODEL || DEFAULT_MODELS[DEFAULT_PROVIDER]
+};
+
+// Parse a JSON setting, or null (with a logged error) when it is invalid
+function loadJSONSetting(name, fallback) {
+  if (!process.env[name]) return null;
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`Invalid ${name}, ${fallback}:`, error.message);
+    return null;
+  }
+}
+
+// Turn a `{ provider, model }` entry into a full target
+function toTarget({ provider = DEFAULT_PROVIDER, model }, setting) {
+  assertKnownProvider(provider, setting);
+  return {
+    provider,
+    model: model || (provider === DEFAULT_PROVIDER ? defaultTarget.model : DEFAULT_MODELS[provider])
+  };
+}
+
+// Endpoint name -> { provider, model } from LLM_ENDPOINT_PROVIDERS. An entry
+// is a provider name or an object with `provider` and/or `model`.
+function loadEndpointTargets() {
+  const overrides = loadJSONSetting('LLM_ENDPOINT_PROVIDERS', 'using quality tiers everywhere') || {};
+
+  const targets = {};
+  for (const [endpoint, entry] of Object.entries(overrides)) {
+    targets[endpoint] = toTarget(typeof entry === 'string' ? { provider: entry } : entry, `LLM_ENDPOINT_PROVIDERS.${endpoint}`);
+  }
+  return targets;
+}
+
+// Quality tier -> { provider, model }. Balanced is the default model. The
+// other tiers use the provider's built-in tier models, or the default model
+// too when LLM_MODEL pins one. QUALITY_TIERS overrides any tier with a model
+// name or an object with `provider` and/or `model`.
+function loadTierTargets() {
+  const targets = {};
+  for (const tier of QUALITY_TIERS) {
+    targets[tier] = tier === DEFAULT_QUALITY || process.env.LLM_MODEL
+      ? defaultTarget
+      : { provider: DEFAULT_PROVIDER, model: TIER_MODELS[DEFAULT_PROVIDER][tier] };
+  }
+
+  const overrides = loadJSONSetting('QUALITY_TIERS', 'using the built-in tiers') || {};
+  for (const [tier, entry] of Object.entries(overrides)) {
+    assertKnownQuality(tier, 'QUALITY_TIERS key');
+    targets[tier] = toTarget(typeof entry === 'string' ? { model: entry } : entry, `QUALITY_TIERS.${tier}`);
+  }
+  return targets;
+}
+
+// Endpoint name -> default quality tier, built-in defaults plus ENDPOINT_QUALITY
+function loadEndpointQualities() {
+  const qualities = { ...DEFAULT_ENDPOINT_QUALITY, ...loadJSONSetting('ENDPOINT_QUALITY', 'using the built-in defaults') };
+  for (const [endpoint, quality] of Object.entries(qualities)) {
+    assertKnownQuality(quality, `ENDPOINT_QUALITY.${endpoint}`);
+  }
+  return qualities;
+}
+
+const endpointTargets = loadEndpointTargets();
+const tierTargets = loadTierTargets();
+const endpointQualities = loadEndpointQualities();
+
+// Models the service may call (ALLOWED_MODELS, comma separated), or null for any
+const allowedModels = process.env.ALLOWED_MODELS
+  ? process.env.ALLOWED_MODELS.split(',').map(model => model.trim()).filter(Boolean)
+  : null;
+
+// Refuse to start if a tier or endpoint is configured with a model that is not allowed
+if (allowedModels && LLM_MODE !== 'mock') {
+  const disallowed = [...Object.values(tierTargets), ...Object.values(endpointTargets)]
+    .map(target => target.model)
+    .filter(model => !allowedModels.includes(model));
+  if (disallowed.length > 0) {
+    throw new Error(`Models not in ALLOWED_MODELS: ${[...new Set(disallowed)].join(', ')}`);
+  }
+}
+
+// Providers are created on first use
+const instances = {};
+let replayProvider;
+
+/**
+ * Quality tier an endpoint uses when the request doesn't ask for one, or
+ * null when LLM_ENDPOINT_PROVIDERS pins the endpoint to a specific model.
+ */
+function defaultQuality(endpoint) {
+  if (endpoint && endpointTargets[endpoint]) return null;
+  return (endpoint && endpointQualities[endpoint]) || DEFAULT_QUALITY;
+}
+
+/**
+ * Provider name and model an endpoint runs on at a quality tier. Without a
+ * tier the endpoint's default applies; calls made outside an endpoint use
+ * the default tier. In replay mode this is still the configured provider,
+ * whose recorded responses are being served.
+ *
+ * @param {string} [endpoint] - Operation name (summary, translate, ...)
+ * @param {string} [quality] - fast | balanced | best
+ * @returns {{provider: string, model: string}}
+ */
+function resolveTarget(endpoint, quality) {
+  if (LLM_MODE === 'mock') return mockTarget;
+
+  const tier = quality || defaultQuality(endpoint);
+  return tier ? tierTargets[tier] : endpointTargets[endpoint];
+}
+
+// The provider instance and model for an endpoint and quality tier
+function providerFor(endpoint, quality) {
+  const { provider, model } = resolveTarget(endpoint, quality);
+
+  if (LLM_MODE === 'replay') {
+    replayProvider = replayProvider || createReplayProvider();
+    return { provider: replayProvider, model };
+  }
+
+  if (!instances[provider]) {
+    const instance = factories[provider]();
+    instances[provider] = LLM_MODE === 'record' ? createRecordingProvider(instance) : instance;
+  }
+  return { provider: instances[provider], model };
+}
+
+// Names of every provider that may be called over the network or locally
+// (none when replaying fixtures)
+function configuredProviders() {
+  if (LLM_MODE === 'replay') return [];
+  if (LLM_MODE === 'mock') return [mockTarget.provider];
+  return [...new Set([...Object.values(tierTargets), ...Object.values(endpointTargets)].map(target => target.provider))];
+}
+
+// Model configuration for the admin API
+function describeModels() {
+  return {
+    mode: LLM_MODE,
+    tiers: Object.fromEntries(QUALITY_TIERS.map(tier => [tier, resolveTarget(null, tier)])),
+    endpoints: Object.fromEntries(Object.keys({ ...endpointQualities, ...endpointTargets }).map(endpoint => [
+      endpoint,
+      { quality: defaultQuality(endpoint), ...resolveTarget(endpoint) }
+    ])),
+    defaultQuality: DEFAULT_QUALITY,
+    allowedModels
+  };
+}
+
+module.exports = {
+  LLM_MODE,
+  QUALITY_TIERS,
+  defaultQuality,
+  resolveTarget,
+  providerFor,
+  configuredProviders,
+  describeModels
+};
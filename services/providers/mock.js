@@ -0,0 +1,141 @@
+/**
+ * Deterministic mock provider for local development and tests
+ * Never leaves the process. The same request always gets the same response:
+ * requests for structured output get a small valid fixture, everything else gets
+ * text derived from a hash of the prompt. Token counts are estimated at four
+ * characters per token.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_MODEL = 'mock';
+
+const TIER_MODELS = {
+  fast: DEFAULT_MODEL,
+  balanced: DEFAULT_MODEL,
+  best: DEFAULT_MODEL
+};
+
+// The number of items a prompt asks for ("Create 5 quiz questions"), or 1
+function requestedCount(prompt) {
+  const match = /^Create (\d+) /.exec(prompt);
+  return match ? Number(match[1]) : 1;
+}
+
+// One mock quiz question of each type
+const QUESTIONS = {
+  'multiple-choice': (question) => ({ question, options: ['Option A', 'Option B', 'Option C', 'Option D'], correctIndex: 0 }),
+  'true-false': (question) => ({ question, answer: true }),
+  'multi-select': (question) => ({ question, options: ['Option A', 'Option B', 'Option C', 'Option D'], correctIndices: [0, 1] }),
+  'fill-in-the-blank': (question) => ({ question: `${question} ___`, answer: 'Mock answer' }),
+  'short-answer': (question) => ({ question, answer: 'Mock answer.' })
+};
+
+// Valid structured output, keyed by schema name (services/schemas.js)
+const FIXTURES = {
+  flashcards: (tag, prompt) => Array.from({ length: requestedCount(prompt) }, (_, i) => (
+    { front: `Mock question ${tag}-${i + 1}`, back: `Mock answer ${tag}-${i + 1}` }
+  )),
+  // The requested number of questions, cycling through the types listed in the prompt
+  quiz: (tag, prompt) => {
+    const types = [...prompt.matchAll(/^- "([a-z-]+)": /gm)].map(([, type]) => type).filter(type => QUESTIONS[type]);
+    if (types.length === 0) types.push('multiple-choice');
+    return Array.from({ length: requestedCount(prompt) }, (_, i) => {
+      const type = types[i % types.length];
+      return { type, ...QUESTIONS[type](`Mock question ${tag}-${i + 1}?`) };
+    });
+  },
+  // One grade per question in the prompt, with a rubric level for short answers
+  grading: (tag, prompt) => [...prompt.matchAll(/<question index="(\d+)" type="([^"]+)">/g)].map(([, index, type]) => ({
+    index: Number(index),
+    explanation: `Mock explanation ${tag}`,
+    citation: null,
+    rubricScore: type === 'short-answer' ? 3 : null
+  })),
+  actionItems: (tag) => [
+    { task: `Mock task ${tag}`, assignee: null, deadline: null }
+  ],
+  timedActionItems: (tag) => [
+    { task: `Mock task ${tag}`, assignee: null, deadline: null, segment: 0 }
+  ],
+  highlights: (tag) => [`Mock highlight ${tag}`],
+  timedHighlights: (tag) => [{ text: `Mock highlight ${tag}`, segments: [0] }],
+  chapters: (tag) => [
+    { title: `Mock chapter ${tag}`, synopsis: `Mock synopsis ${tag}.`, startIndex: 0 }
+  ],
+  // One summary per speaker listed in the prompt
+  speakerSummaries: (tag, prompt) => (/<speakers>\n([\s\S]*?)\n<\/speakers>/.exec(prompt) || [null, ''])[1]
+    .split('\n').filter(Boolean).map(line => ({
+      speaker: line.replace(/^- /, ''),
+      summary: `Mock summary ${tag}`,
+      positions: [],
+      commitments: []
+    })),
+  faq: (tag) => [
+    { question: `Mock question ${tag}?`, answer: `Mock answer ${tag}.` }
+  ],
+  // Subtitle cues come back unchanged, so the cue structure always lines up
+  cues: (tag, prompt) => [...prompt.matchAll(/<cue id="(\d+)">([\s\S]*?)<\/cue>/g)].map(([, id, text]) => ({
+    id: Number(id),
+    text
+  })),
+  mindmap: (tag) => ({
+    center: `Mock topic ${tag}`,
+    branches: [{ topic: 'Mock branch', subtopics: ['Mock subtopic'] }]
+  })
+};
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Error thrown when the caller cancels, like the SDK's abort errors
+function abortError() {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+function createMockProvider() {
+  function respond({ endpoint, messages, output }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const tag = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+    const fixture = output && FIXTURES[output.name];
+    const text = fixture
+      ? JSON.stringify(fixture(tag, prompt))
+      : `Mock ${endpoint || 'response'} ${tag}.`;
+
+    return {
+      text,
+      stopReason: 'end_turn',
+      raw: { text, usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } }
+    };
+  }
+
+  return {
+    name: 'mock',
+    label: 'Mock',
+    defaultModel: DEFAULT_MODEL,
+
+    async complete(request, { signal } = {}) {
+      if (signal?.aborted) throw abortError();
+      return respond(request);
+    },
+
+    async stream(request, { onText, signal } = {}) {
+      const result = respond(request);
+      for (const delta of result.text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) throw abortError();
+        onText(delta);
+      }
+      return result;
+    },
+
+    usage(raw) {
+      return {
+        inputTokens: raw?.usage?.inputTokens || 0,
+        outputTokens: raw?.usage?.outputTokens || 0
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider, DEFAULT_MODEL, TIER_MODELS };
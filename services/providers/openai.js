@@ -0,0 +1,174 @@
+/**
+ * OpenAI-compatible provider
+ * Talks to any server implementing the Chat Completions API: OpenAI itself,
+ * or local servers such as llama.cpp (llama-server), Ollama and vLLM.
+ *   OPENAI_BASE_URL - API root, defaults to https://api.openai.com/v1
+ *                     (e.g. http://localhost:11434/v1 for Ollama)
+ *   OPENAI_API_KEY  - Bearer token, optional for local servers
+ *
+ * An assistant prefill is sent as a trailing assistant message; servers that
+ * don't continue it start a fresh reply instead.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Model for each quality tier unless QUALITY_TIERS or LLM_MODEL say otherwise
+const TIER_MODELS = {
+  fast: DEFAULT_MODEL,
+  balanced: DEFAULT_MODEL,
+  best: 'gpt-4o'
+};
+
+// Time allowed until the response headers arrive. Without streaming that is
+// the whole generation; a stream may then run for as long as it keeps sending.
+const REQUEST_TIMEOUT_MS = 60000;
+
+// Chat Completions finish reasons mapped to Anthropic stop reasons
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'refusal'
+};
+
+const toStopReason = (finishReason) => STOP_REASONS[finishReason] || finishReason || null;
+
+// Error for a non-2xx response. Carries `status` like SDK errors do, so the
+// shared retry logic can classify it.
+async function httpError(response) {
+  let detail = '';
+  try {
+    const body = await response.json();
+    detail = body?.error?.message || '';
+  } catch (error) {
+    // Not JSON; the status is enough
+  }
+
+  const error = new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+  error.status = response.status;
+  return error;
+}
+
+function createOpenAIProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  // POST to /chat/completions and resolve to `read(response)`. The caller's
+  // signal cancels the request until `read` is done.
+  async function post(body, signal, read) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('Request timeout')), REQUEST_TIMEOUT_MS);
+    const cancel = () => controller.abort(signal.reason);
+    if (signal) {
+      if (signal.aborted) cancel();
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    try {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      clearTimeout(timer);
+      if (!response.ok) throw await httpError(response);
+      return await read(response);
+    } catch (error) {
+      // Surface network error codes (ECONNRESET, ...) where the retry logic looks for them
+      if (!error.code && error.cause?.code) error.code = error.cause.code;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', cancel);
+    }
+  }
+
+  const toBody = ({ model, maxTokens, messages, output }) => ({
+    model,
+    max_tokens: maxTokens,
+    messages,
+    // Structured output through a JSON schema response format
+    ...(output && {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: output.name, description: output.description, schema: output.schema }
+      }
+    })
+  });
+
+  return {
+    name: 'openai',
+    label: 'LLM',
+    defaultModel: DEFAULT_MODEL,
+
+    async complete(request, { signal } = {}) {
+      const completion = await post(toBody(request), signal, response => response.json());
+      const choice = completion.choices?.[0];
+
+      return {
+        text: typeof choice?.message?.content === 'string' ? choice.message.content : null,
+        stopReason: toStopReason(choice?.finish_reason),
+        raw: completion
+      };
+    },
+
+    async stream(request, { onText, signal } = {}) {
+      // Built up from the streamed chunks; usage arrives in the last one
+      const raw = { content: '', finish_reason: null, usage: undefined };
+
+      const handleEvent = (data) => {
+        if (data === '[DONE]') return;
+        const event = JSON.parse(data);
+        if (event.error) {
+          throw new Error(event.error.message || 'Stream error');
+        }
+        if (event.usage) raw.usage = event.usage;
+
+        const choice = event.choices?.[0];
+        if (choice?.finish_reason) raw.finish_reason = choice.finish_reason;
+        if (choice?.delta?.content) {
+          raw.content += choice.delta.content;
+          onText(choice.delta.content);
+        }
+      };
+
+      // Server-sent events: one `data: <json>` line per chunk
+      const readEvents = async (response) => {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          let lineEnd;
+          while ((lineEnd = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, lineEnd).trim();
+            buffer = buffer.slice(lineEnd + 1);
+            if (line.startsWith('data:')) handleEvent(line.slice(5).trim());
+          }
+        }
+      };
+
+      try {
+        const body = { ...toBody(request), stream: true, stream_options: { include_usage: true } };
+        await post(body, signal, readEvents);
+      } catch (error) {
+        error.raw = raw;
+        throw error;
+      }
+
+      return { text: raw.content, stopReason: toStopReason(raw.finish_reason), raw };
+    },
+
+    usage(raw) {
+      return {
+        inputTokens: raw?.usage?.prompt_tokens || 0,
+        outputTokens: raw?.usage?.completion_tokens || 0
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider, DEFAULT_MODEL, TIER_MODELS };
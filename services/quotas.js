@@ -0,0 +1,122 @@
+/**
+ * Per-key request rate limits and monthly token quotas
+ *
+ * Limits come from the key's plan (see services/plans.js). Counters live in
+ * a pluggable counter store (COUNTER_STORE=memory|redis, see
+ * services/counters) so limits can be shared between server instances.
+ *
+ * Requests are counted in fixed one-minute windows. Tokens are counted per
+ * calendar month (UTC) as they are used; the quota is checked before an
+ * operation starts, so the request that crosses the limit still finishes.
+ *
+ * The memory counter store starts empty on every restart while the usage
+ * ledger (services/usage.js) persists, so with it each key's monthly token
+ * counter is seeded from the ledger the first time this process uses it.
+ */
+
+const { createCounterStore } = require('./counters');
+const { effectiveLimits } = require('./plans');
+
+const MINUTE_MS = 60 * 1000;
+
+// Keep monthly counters a day past the month end to absorb clock skew
+const MONTH_COUNTER_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const COUNTER_BACKEND = process.env.COUNTER_STORE || 'memory';
+const counters = createCounterStore(COUNTER_BACKEND);
+
+// Month counter key -> promise of its seeding from the ledger (memory store only)
+const seeded = new Map();
+
+// Start of the calendar month (UTC) after `now`
+function nextMonthStart(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+function monthCounterKey(keyId, now) {
+  return `tokens:${keyId}:${new Date(now).toISOString().slice(0, 7)}`;
+}
+
+// Lifetime of a monthly counter started at `now`
+function monthCounterTtl(now) {
+  return nextMonthStart(now) - now + MONTH_COUNTER_GRACE_MS;
+}
+
+// Start the key's in-memory month counter at the tokens the ledger already
+// holds for this month, once per process. A failed seeding is retried on
+// the next use.
+function seedMonthCounter(keyId, now) {
+  if (COUNTER_BACKEND !== 'memory') return Promise.resolve();
+
+  const key = monthCounterKey(keyId, now);
+  if (!seeded.has(key)) {
+    // Required here rather than at the top: services/usage.js requires this module
+    const { monthTokens } = require('./usage');
+    const seeding = monthTokens(keyId, now).then(async (tokens) => {
+      if (tokens > 0) await counters.increment(key, tokens, monthCounterTtl(now));
+    });
+    seeding.catch(() => seeded.delete(key));
+    seeded.set(key, seeding);
+  }
+  return seeded.get(key);
+}
+
+/**
+ * Count one request against the key's per-minute limit.
+ *
+ * @returns {Promise<{limit: number, remaining: number, resetAt: Date, exceeded: boolean}|null>}
+ *   null when the key has no request limit
+ */
+async function hitRequestRate(apiKey) {
+  const { requestsPerMinute: limit } = effectiveLimits(apiKey);
+  if (!limit) return null;
+
+  const now = Date.now();
+  const windowStart = now - (now % MINUTE_MS);
+  const windowEnd = windowStart + MINUTE_MS;
+  const { value } = await counters.increment(`requests:${apiKey.id}:${windowStart}`, 1, windowEnd - now);
+
+  return {
+    limit,
+    remaining: Math.max(0, limit - value),
+    resetAt: new Date(windowEnd),
+    exceeded: value > limit
+  };
+}
+
+/**
+ * The key's token quota for the current month.
+ *
+ * @returns {Promise<{plan: string|null, tokensPerMonth: number|null, tokensUsed: number, tokensRemaining: number|null, resetAt: Date, exceeded: boolean}>}
+ */
+async function getTokenQuota(apiKey) {
+  const { plan, tokensPerMonth } = effectiveLimits(apiKey);
+  const now = Date.now();
+  await seedMonthCounter(apiKey.id, now);
+  const tokensUsed = await counters.get(monthCounterKey(apiKey.id, now));
+
+  return {
+    plan,
+    tokensPerMonth,
+    tokensUsed,
+    tokensRemaining: tokensPerMonth ? Math.max(0, tokensPerMonth - tokensUsed) : null,
+    resetAt: new Date(nextMonthStart(now)),
+    exceeded: Boolean(tokensPerMonth) && tokensUsed >= tokensPerMonth
+  };
+}
+
+// Add tokens used by a key to its monthly counter
+async function consumeTokens(keyId, tokens) {
+  if (tokens <= 0) return;
+
+  const now = Date.now();
+  await seedMonthCounter(keyId, now);
+  await counters.increment(monthCounterKey(keyId, now), tokens, monthCounterTtl(now));
+}
+
+module.exports = {
+  hitRequestRate,
+  getTokenQuota,
+  consumeTokens
+};
@@ -0,0 +1,265 @@
+/**
+ * Spaced-repetition review scheduling for generated flashcards
+ *
+ * Cards from /api/flashcards carry a stable ID derived from their content and
+ * belong to a deck. Each review grades recall from 0 (forgot) to 5 (perfect)
+ * and an SM-2 scheduler works out when the card is due again. Review state is
+ * kept per API key, or per user ID within a key, in a pluggable store
+ * (REVIEW_STORE=file|memory|sqlite, JSON files by default).
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./stores');
+const { createKeyedSerializer } = require('./concurrency');
+const { ValidationError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 parameters: starting ease, lowest ease, and the lowest passing grade
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_GRADE = 5;
+const PASSING_GRADE = 3;
+
+// Limits on review requests
+const MAX_REVIEWS = 100;
+const MAX_CARD_TEXT_LENGTH = 2000;
+const DEFAULT_DUE_LIMIT = 50;
+const MAX_DUE_LIMIT = 500;
+
+// Deck and user IDs are short identifiers (no ':' so owner keys stay unambiguous)
+const ID_PATTERN = /^[A-Za-z0-9_.@-]{1,128}$/;
+
+const store = createStore('reviews', process.env.REVIEW_STORE || 'file');
+
+// Updates to one owner's review state are applied one at a time
+const serializeUpdates = createKeyedSerializer();
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+// Stable ID for a card, so the same card generated again keeps its history
+function cardId({ front, back }) {
+  return `card_${hash(`${front}\n${back}`)}`;
+}
+
+// Deck for cards generated from a transcript when the request names none
+function deckForTranscript(transcript) {
+  return `deck_${hash(transcript)}`;
+}
+
+// Validate a deck or user ID
+function validateId(value, name) {
+  if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+    throw new ValidationError(`${name} must be 1-128 letters, digits or . _ @ -`);
+  }
+  return value;
+}
+
+// Store key for the review state of an API key, or of one user of that key
+function ownerKey(keyId, userId) {
+  return userId === null ? keyId : `${keyId}:${userId}`;
+}
+
+/**
+ * Next review state after a grade, following SM-2: a passing grade moves
+ * the card to 1 day, then 6 days, then the previous interval times its ease;
+ * a failing grade starts it over at 1 day. The ease drops for hard recalls
+ * and rises for easy ones.
+ *
+ * @param {object} card - Current state (`repetitions`, `interval`, `easeFactor`)
+ * @param {number} grade - 0-5
+ * @param {number} now - Review time in milliseconds
+ */
+function schedule(card, grade, now) {
+  let { repetitions, interval, easeFactor } = card;
+
+  if (grade >= PASSING_GRADE) {
+    interval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * easeFactor);
+    repetitions += 1;
+  } else {
+    repetitions = 0;
+    interval = 1;
+  }
+
+  const miss = MAX_GRADE - grade;
+  easeFactor = Math.max(MIN_EASE, Math.round((easeFactor + 0.1 - miss * (0.08 + miss * 0.02)) * 100) / 100);
+
+  return {
+    ...card,
+    repetitions,
+    interval,
+    easeFactor,
+    due: new Date(now + interval * DAY_MS).toISOString(),
+    reviews: card.reviews + 1,
+    lastGrade: grade,
+    lastReviewedAt: new Date(now).toISOString()
+  };
+}
+
+// Validate one entry of a review request
+function parseReview(review, i) {
+  const where = `reviews[${i}]`;
+  if (typeof review !== 'object' || review === null || Array.isArray(review)) {
+    throw new ValidationError(`${where} must be an object`);
+  }
+
+  const { id, front, back, grade } = review;
+  if (!Number.isInteger(grade) || grade < 0 || grade > MAX_GRADE) {
+    throw new ValidationError(`${where}.grade must be an integer from 0 to ${MAX_GRADE}`);
+  }
+  for (const [name, value] of [['front', front], ['back', back]]) {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '' || value.length > MAX_CARD_TEXT_LENGTH)) {
+      throw new ValidationError(`${where}.${name} must be a non-empty string of at most ${MAX_CARD_TEXT_LENGTH} characters`);
+    }
+  }
+  if ((front === undefined) !== (back === undefined)) {
+    throw new ValidationError(`${where} must have both front and back, or neither`);
+  }
+  if (id === undefined && front === undefined) {
+    throw new ValidationError(`${where} must have an id, or a front and back`);
+  }
+
+  const card = front === undefined ? null : { front, back };
+  return {
+    id: id === undefined ? cardId(card) : validateId(id, `${where}.id`),
+    card,
+    grade
+  };
+}
+
+// Review state of a card that has not been reviewed yet
+function newCard(id, deck, { front, back }, now) {
+  return {
+    id,
+    deck,
+    front,
+    back,
+    repetitions: 0,
+    interval: 0,
+    easeFactor: INITIAL_EASE,
+    reviews: 0,
+    createdAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Add generated cards to a deck as new cards, due now. Cards already in the
+ * deck (the same card generated again) keep their schedule.
+ *
+ * @param {object} request
+ * @param {string} request.keyId - Calling API key
+ * @param {string|null} request.userId - User within the key, or null for the key itself
+ * @param {string} request.deck - Deck ID
+ * @param {{id: string, front: string, back: string}[]} request.cards
+ * @param {number} [now] - Time in milliseconds
+ * @returns {Promise<number>} How many cards were added
+ */
+async function addCards({ keyId, userId, deck, cards }, now = Date.now()) {
+  const key = ownerKey(keyId, userId);
+  return serializeUpdates(key, async () => {
+    const record = await store.get(key) || { keyId, userId, decks: {} };
+    const deckCards = record.decks[deck] || {};
+
+    const added = cards.filter(({ id }) => !deckCards[id]);
+    if (added.length === 0) return 0;
+    for (const { id, front, back } of added) {
+      deckCards[id] = { ...newCard(id, deck, { front, back }, now), due: new Date(now).toISOString() };
+    }
+
+    record.decks[deck] = deckCards;
+    await store.set(key, record);
+    return added.length;
+  });
+}
+
+/**
+ * Record recall grades for cards in a deck and schedule their next reviews.
+ * Cards from /api/flashcards are in their deck already; any other card is
+ * added on its first review, which must include its front and back. Later
+ * reviews only need its ID.
+ *
+ * @param {object} request
+ * @param {string} request.keyId - Calling API key
+ * @param {string|null} request.userId - User within the key, or null for the key itself
+ * @param {string} request.deck - Deck ID
+ * @param {object[]} request.reviews - `{ id, front, back, grade }` per card
+ * @param {number} [now] - Review time in milliseconds
+ * @returns {Promise<object[]>} The reviewed cards with their new schedule
+ */
+async function recordReviews({ keyId, userId, deck, reviews }, now = Date.now()) {
+  validateId(deck, 'deck');
+  if (userId !== null) validateId(userId, 'userId');
+  if (!Array.isArray(reviews) || reviews.length === 0) {
+    throw new ValidationError('Reviews must be a non-empty array');
+  }
+  if (reviews.length > MAX_REVIEWS) {
+    throw new ValidationError(`Too many reviews. Maximum ${MAX_REVIEWS} per request.`);
+  }
+  const parsed = reviews.map(parseReview);
+
+  const key = ownerKey(keyId, userId);
+  return serializeUpdates(key, async () => {
+    const record = await store.get(key) || { keyId, userId, decks: {} };
+    const cards = record.decks[deck] || {};
+
+    const reviewed = parsed.map(({ id, card, grade }, i) => {
+      const current = cards[id] || (card && newCard(id, deck, card, now));
+      if (!current) {
+        throw new ValidationError(`reviews[${i}]: card '${id}' is not in deck '${deck}' yet. Include its front and back.`);
+      }
+      cards[id] = schedule(current, grade, now);
+      return cards[id];
+    });
+
+    record.decks[deck] = cards;
+    await store.set(key, record);
+    return reviewed;
+  });
+}
+
+/**
+ * Cards due for review, most overdue first.
+ *
+ * @param {object} request
+ * @param {string} request.keyId - Calling API key
+ * @param {string|null} request.userId - User within the key, or null for the key itself
+ * @param {string} [request.deck] - Only this deck (all decks by default)
+ * @param {string|number} [request.limit] - Maximum number of cards (default 50)
+ * @param {number} [now] - Time in milliseconds
+ * @returns {Promise<{cards: object[], total: number, nextDue: string|null}>}
+ *   `total` counts every due card; `nextDue` is when the next card not yet due will be
+ */
+async function listDueCards({ keyId, userId, deck, limit }, now = Date.now()) {
+  if (userId !== null) validateId(userId, 'userId');
+  if (deck !== undefined) validateId(deck, 'deck');
+
+  const max = limit === undefined ? DEFAULT_DUE_LIMIT : Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_DUE_LIMIT) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_DUE_LIMIT}`);
+  }
+
+  const record = await store.get(ownerKey(keyId, userId));
+  const decks = record ? record.decks : {};
+  const cards = (deck === undefined ? Object.values(decks) : [decks[deck] || {}])
+    .flatMap(deckCards => Object.values(deckCards))
+    .sort((a, b) => Date.parse(a.due) - Date.parse(b.due));
+
+  const due = cards.filter(card => Date.parse(card.due) <= now);
+  const upcoming = cards.find(card => Date.parse(card.due) > now);
+
+  return {
+    cards: due.slice(0, max),
+    total: due.length,
+    nextDue: upcoming ? upcoming.due : null
+  };
+}
+
+module.exports = {
+  MAX_GRADE,
+  cardId,
+  deckForTranscript,
+  validateId,
+  addCards,
+  recordReviews,
+  listDueCards
+};
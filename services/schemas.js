@@ -0,0 +1,477 @@
+/**
+ * JSON Schemas for the structured (JSON) responses
+ *
+ * Each structured response is defined here once. The schema is used to ask
+ * the model for matching output (tool use, or a JSON schema response format),
+ * to validate what comes back, and is published at GET /api/schemas/:name so
+ * clients can generate their models from it.
+ *
+ * Each entry has:
+ * - `field`: the key the value is returned under in the response body
+ * - `schema`: JSON Schema for the value
+ * - `refine(value)` (optional): checks JSON Schema cannot express, returning
+ *   an error message or null
+ */
+
+const { RUBRIC_MAX } = require('./grading');
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// A string with at least one non-whitespace character
+const text = (description) => ({ type: 'string', minLength: 1, pattern: '\\S', description });
+
+// Indexes of transcript segments
+const segmentIndices = (description) => ({ type: 'array', description, items: { type: 'integer', minimum: 0 }, minItems: 1 });
+
+// Answer choices for the quiz question types that have options
+const choices = () => ({ type: 'array', description: 'Answer choices', items: { type: 'string' }, minItems: 2 });
+
+// A quiz question of one type: `question` plus the fields that type needs
+function question(type, description, fields) {
+  return {
+    type: 'object',
+    description,
+    properties: {
+      type: { const: type },
+      question: text('The question'),
+      ...fields
+    },
+    required: ['type', 'question', ...Object.keys(fields)]
+  };
+}
+
+const schemas = {
+  flashcards: {
+    field: 'flashcards',
+    schema: {
+      description: 'Study flashcards',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Stable card ID, set by the server from the front and back' },
+          front: text('Question, term or concept'),
+          back: text('Answer, definition or explanation')
+        },
+        required: ['front', 'back']
+      }
+    }
+  },
+
+  quiz: {
+    field: 'questions',
+    schema: {
+      description: 'Quiz questions of one or more types, told apart by `type`',
+      type: 'array',
+      items: {
+        oneOf: [
+          question('multiple-choice', 'One correct answer among the options', {
+            options: choices(),
+            correctIndex: { type: 'integer', description: 'Index in options of the correct answer', minimum: 0 }
+          }),
+          question('true-false', 'A statement that is either true or false', {
+            answer: { type: 'boolean', description: 'Whether the statement is true' }
+          }),
+          question('multi-select', 'One or more correct answers among the options', {
+            options: choices(),
+            correctIndices: {
+              type: 'array',
+              description: 'Indexes in options of every correct answer',
+              items: { type: 'integer', minimum: 0 },
+              minItems: 1
+            }
+          }),
+          question('fill-in-the-blank', 'A sentence with ___ in place of the missing word or phrase', {
+            answer: text('The missing word or phrase')
+          }),
+          question('short-answer', 'An open question answered in a sentence or two', {
+            answer: text('A model answer')
+          })
+        ]
+      }
+    },
+    refine(questions) {
+      for (let i = 0; i < questions.length; i++) {
+        const q = questions[i];
+        if (q.type === 'multiple-choice' && q.correctIndex >= q.options.length) {
+          return `questions[${i}].correctIndex must be less than the number of options`;
+        }
+        if (q.type === 'multi-select') {
+          if (q.correctIndices.some(index => index >= q.options.length)) {
+            return `questions[${i}].correctIndices must be less than the number of options`;
+          }
+          if (new Set(q.correctIndices).size !== q.correctIndices.length) {
+            return `questions[${i}].correctIndices must not repeat an index`;
+          }
+        }
+        if (q.type === 'fill-in-the-blank' && !q.question.includes('___')) {
+          return `questions[${i}].question must contain ___ for the blank`;
+        }
+      }
+      return null;
+    }
+  },
+
+  grading: {
+    field: 'grades',
+    schema: {
+      description: 'Explanations for answers to quiz questions, with rubric scores for short answers',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', minimum: 0, description: 'Position of the question in the quiz' },
+          explanation: text('Why the correct answer is right, and how the given answer compares'),
+          citation: {
+            type: ['string', 'null'],
+            description: 'The transcript passage that supports the correct answer, quoted exactly; null without a transcript'
+          },
+          rubricScore: {
+            type: ['integer', 'null'],
+            minimum: 0,
+            maximum: RUBRIC_MAX,
+            description: `Short answers only: rubric level from 0 (incorrect) to ${RUBRIC_MAX} (complete and accurate); null for other types`
+          }
+        },
+        required: ['index', 'explanation', 'citation', 'rubricScore']
+      }
+    }
+  },
+
+  actionItems: {
+    field: 'actionItems',
+    schema: {
+      description: 'Action items, tasks and to-dos',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          task: text('What needs to be done'),
+          assignee: { type: ['string', 'null'], description: 'Who is responsible, if mentioned' },
+          deadline: { type: ['string', 'null'], description: 'When it is due, if mentioned' }
+        },
+        required: ['task']
+      }
+    }
+  },
+
+  // Action items of a transcript sent as segments (services/segments.js)
+  timedActionItems: {
+    field: 'actionItems',
+    schema: {
+      description: 'Action items, tasks and to-dos, with the segment they were said in',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          task: text('What needs to be done'),
+          assignee: { type: ['string', 'null'], description: 'Who is responsible, if mentioned' },
+          deadline: { type: ['string', 'null'], description: 'When it is due, if mentioned' },
+          segment: { type: 'integer', minimum: 0, description: 'Index of the segment it was said in' },
+          speaker: { type: ['string', 'null'], description: 'Speaker label the assignee refers to, if any; set by the server' },
+          start: { type: 'number', description: 'Seconds; set by the server from the segment' },
+          end: { type: 'number', description: 'Seconds; set by the server from the segment' }
+        },
+        required: ['task', 'segment']
+      }
+    }
+  },
+
+  highlights: {
+    field: 'highlights',
+    schema: {
+      description: 'The most important quotes, key moments or significant statements',
+      type: 'array',
+      items: text('A quote or key moment')
+    }
+  },
+
+  // Highlights of a transcript sent as segments (services/segments.js)
+  timedHighlights: {
+    field: 'highlights',
+    schema: {
+      description: 'The most important quotes, key moments or significant statements, with the segments they come from',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: text('A quote or key moment'),
+          segments: segmentIndices('Indexes of the segments it comes from'),
+          start: { type: 'number', description: 'Seconds; set by the server from the segments' },
+          end: { type: 'number', description: 'Seconds; set by the server from the segments' }
+        },
+        required: ['text', 'segments']
+      }
+    }
+  },
+
+  // Chapters begin at a line of the prompt: a passage, or a segment
+  // (services/chapters.js). The server sets where each ends and what it covers.
+  chapters: {
+    field: 'chapters',
+    schema: {
+      description: 'Topically coherent chapters, in order, together covering the whole transcript',
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          title: text('Short chapter title'),
+          synopsis: text('What the chapter covers, in one sentence'),
+          startIndex: { type: 'integer', minimum: 0, description: 'Index of the passage or segment the chapter begins with' },
+          endIndex: { type: 'integer', description: 'Index of its last passage or segment; set by the server' },
+          startOffset: { type: 'integer', description: 'Character offset where it starts (transcript input); set by the server' },
+          endOffset: { type: 'integer', description: 'Character offset where it ends, exclusive (transcript input); set by the server' },
+          start: { type: 'number', description: 'Seconds (segment input); set by the server' },
+          end: { type: 'number', description: 'Seconds, the next chapter\'s start (segment input); set by the server' }
+        },
+        required: ['title', 'synopsis', 'startIndex']
+      }
+    }
+  },
+
+  // Per-speaker summaries of speaker-labelled segments (services/speakers.js)
+  speakerSummaries: {
+    field: 'speakers',
+    schema: {
+      description: 'What each speaker said: a summary, their positions and their commitments',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          speaker: text('Speaker label, exactly as in the transcript'),
+          summary: text("One or two sentences on the speaker's part in the conversation"),
+          positions: { type: 'array', description: 'Views, arguments and proposals the speaker put forward', items: { type: 'string' } },
+          commitments: { type: 'array', description: 'What the speaker agreed or promised to do', items: { type: 'string' } }
+        },
+        required: ['speaker', 'summary', 'positions', 'commitments']
+      }
+    }
+  },
+
+  faq: {
+    field: 'faqs',
+    schema: {
+      description: 'Frequently asked questions about the content, with answers',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          question: text('The question'),
+          answer: text('The answer')
+        },
+        required: ['question', 'answer']
+      }
+    }
+  },
+
+  mindmap: {
+    field: 'mindmap',
+    schema: {
+      description: 'Mind map of the central topic and its branches',
+      type: 'object',
+      properties: {
+        center: text('Central topic'),
+        branches: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              topic: text('Main branch'),
+              subtopics: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['topic', 'subtopics']
+          }
+        }
+      },
+      required: ['center', 'branches']
+    }
+  },
+
+  // Subtitle cues rewritten one for one (services/subtitles.js)
+  cues: {
+    field: 'cues',
+    schema: {
+      description: 'Subtitle cues with rewritten text, one per cue sent and in the same order',
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 0, description: 'ID of the cue, as sent' },
+          text: text('The cue text; lines separated by \\n')
+        },
+        required: ['id', 'text']
+      }
+    }
+  }
+};
+
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'an array',
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  null: 'null'
+};
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+// The `const` property that tells `oneOf` branches apart, e.g. a quiz
+// question's `type`, or null if they have none in common
+function discriminator(branches) {
+  const keys = Object.keys(branches[0].properties || {}).filter(key => branches[0].properties[key].const !== undefined);
+  return keys.find(key => branches.every(branch => branch.properties && branch.properties[key] && branch.properties[key].const !== undefined)) || null;
+}
+
+// Check `value` against exactly one of `branches`. Errors come from the
+// branch the value's discriminator picks, so they name the actual problem.
+function checkOneOf(branches, value, path) {
+  const matching = branches.filter(branch => !checkSchema(branch, value, path));
+  if (matching.length === 1) return null;
+  if (matching.length > 1) return `${path} matches more than one allowed shape`;
+
+  const key = discriminator(branches);
+  if (!key) return `${path} does not match any allowed shape`;
+  if (!matchesType(value, 'object')) return `${path} must be an object`;
+
+  const branch = branches.find(b => b.properties[key].const === value[key]);
+  if (!branch) return `${path}.${key} must be one of: ${branches.map(b => b.properties[key].const).join(', ')}`;
+  return checkSchema(branch, value, path);
+}
+
+/**
+ * Check `value` against the subset of JSON Schema used above (type,
+ * properties, required, items, enum, const, oneOf, minItems, maxItems,
+ * minLength, pattern, minimum, maximum).
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} path - Where `value` sits in the response, for error messages
+ * @returns {string|null} The first error found, or null if the value is valid
+ */
+function checkSchema(schema, value, path) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return `${path} must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    return `${path} must be ${JSON.stringify(schema.const)}`;
+  }
+  if (schema.oneOf) {
+    const error = checkOneOf(schema.oneOf, value, path);
+    if (error) return error;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} must not be empty`;
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      return schema.pattern === '\\S' ? `${path} must not be blank` : `${path} must match the pattern ${schema.pattern}`;
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return `${path} must be at least ${schema.minimum}`;
+    if (schema.maximum !== undefined && value > schema.maximum) return `${path} must be at most ${schema.maximum}`;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return `${path} must have at least ${schema.minItems} items`;
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} must have at most ${schema.maxItems} items`;
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = checkSchema(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+    }
+  } else if (typeof value === 'object' && value !== null) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) return `${path}.${key} is required`;
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const error = checkSchema(propertySchema, value[key], `${path}.${key}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a structured response against its schema.
+ *
+ * @param {string} name - Schema name (flashcards, quiz, ...)
+ * @param {*} value
+ * @returns {{valid: boolean, error?: string}} `error` names the offending path, e.g. "questions[2].correctIndex"
+ */
+function validate(name, value) {
+  const { field, schema, refine } = schemas[name];
+  const error = checkSchema(schema, value, field) || (refine ? refine(value) : null);
+  return error ? { valid: false, error } : { valid: true };
+}
+
+/**
+ * What to pass as `output` to callClaudeWithMetadata to get JSON for `name`.
+ * Providers require an object at the top level, so the value is wrapped in
+ * its response field, e.g. `{ "questions": [...] }`.
+ */
+function outputFor(name) {
+  const { field, schema } = schemas[name];
+  return {
+    name,
+    description: schema.description,
+    schema: { type: 'object', properties: { [field]: schema }, required: [field] }
+  };
+}
+
+// Take the value out of `{ <field>: value }` output, leaving anything else as is
+function unwrapOutput(name, parsed) {
+  const { field } = schemas[name];
+  const wrapped = typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed) &&
+    Object.keys(parsed).length === 1 && parsed[field] !== undefined;
+  return wrapped ? parsed[field] : parsed;
+}
+
+// OpenAPI reference to a schema, which the spec lists under components
+function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Names of every schema
+function listSchemas() {
+  return Object.keys(schemas);
+}
+
+// Standalone JSON Schema document for `name`, or null if there is none
+function schemaDocument(name) {
+  if (!Object.prototype.hasOwnProperty.call(schemas, name)) return null;
+  return {
+    $schema: SCHEMA_DIALECT,
+    $id: `/api/schemas/${name}`,
+    title: name,
+    ...schemas[name].schema
+  };
+}
+
+module.exports = {
+  validate,
+  outputFor,
+  unwrapOutput,
+  schemaRef,
+  listSchemas,
+  schemaDocument
+};
@@ -0,0 +1,141 @@
+/**
+ * Timestamped, speaker-labelled transcript segments
+ *
+ * Instead of a flat `transcript`, requests can send the recorder's segments:
+ * `[{ start, end, speaker, text }]` with times in seconds from the start of
+ * the recording. They are rendered into the prompt one per line, prefixed
+ * with their index, times and speaker, so Claude can cite them by index:
+ *
+ *   [0] 0:00-0:04 Alice: Let's start with the budget.
+ *   [1] 0:04-0:09 Bob: We're ten percent over.
+ */
+
+const { ValidationError } = require('./errors');
+
+// Limits on segment input (the rendered transcript's length is checked too)
+const MAX_SEGMENTS = 20000;
+const MAX_SPEAKER_LENGTH = 100;
+
+// Request body schema for `segments`
+const SEGMENTS_SCHEMA = {
+  type: 'array',
+  description: 'Timestamped transcript segments, in place of `transcript`',
+  maxItems: MAX_SEGMENTS,
+  items: {
+    type: 'object',
+    properties: {
+      start: { type: 'number', minimum: 0, description: 'Seconds from the start of the recording' },
+      end: { type: 'number', minimum: 0, description: 'Seconds from the start of the recording' },
+      speaker: { type: ['string', 'null'], maxLength: MAX_SPEAKER_LENGTH },
+      text: { type: 'string' }
+    },
+    required: ['start', 'end', 'text']
+  }
+};
+
+// Explains the rendered format to Claude
+const SEGMENT_FORMAT = 'Each line of the transcript is one segment: its [index], start and end time, and speaker if known, then what was said.';
+
+const isTime = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Check a `segments` array, returning a normalized copy. Text and speaker
+ * labels are passed through `sanitize`.
+ *
+ * @param {*} segments
+ * @param {function(string): string} sanitize
+ * @returns {{start: number, end: number, speaker: string|null, text: string}[]}
+ */
+function validateSegments(segments, sanitize) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    throw new ValidationError('Segments must be a non-empty array');
+  }
+  if (segments.length > MAX_SEGMENTS) {
+    throw new ValidationError(`Too many segments. Maximum ${MAX_SEGMENTS} allowed.`);
+  }
+
+  return segments.map((segment, i) => {
+    const where = `segments[${i}]`;
+    if (typeof segment !== 'object' || segment === null || Array.isArray(segment)) {
+      throw new ValidationError(`${where} must be an object`);
+    }
+
+    const { start, end, speaker = null, text } = segment;
+    if (!isTime(start) || !isTime(end)) {
+      throw new ValidationError(`${where} must have start and end times in seconds`);
+    }
+    if (end < start) {
+      throw new ValidationError(`${where}.end must not be before start`);
+    }
+    if (speaker !== null && (typeof speaker !== 'string' || speaker.length > MAX_SPEAKER_LENGTH)) {
+      throw new ValidationError(`${where}.speaker must be a string of at most ${MAX_SPEAKER_LENGTH} characters`);
+    }
+    if (typeof text !== 'string') {
+      throw new ValidationError(`${where}.text must be a string`);
+    }
+
+    return {
+      start,
+      end,
+      speaker: speaker === null || speaker.trim() === '' ? null : sanitize(speaker.trim()),
+      text: sanitize(text.replace(/\s+/g, ' ').trim())
+    };
+  });
+}
+
+// Throw unless the segments are in order of start time, which analyses
+// that follow the recording through time rely on
+function requireTimeOrder(segments) {
+  const i = segments.findIndex((segment, j) => j > 0 && segment.start < segments[j - 1].start);
+  if (i !== -1) {
+    throw new ValidationError(`Segments must be in order of start time, but segments[${i}] starts before segments[${i - 1}]`);
+  }
+}
+
+// Seconds as m:ss, or h:mm:ss from an hour on
+function formatTime(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// The compact, one line per segment form sent to Claude
+function renderSegments(segments) {
+  return segments.map(({ start, end, speaker, text }, i) =>
+    `[${i}] ${formatTime(start)}-${formatTime(end)}${speaker ? ` ${speaker}` : ''}: ${text}`
+  ).join('\n');
+}
+
+// Error message if any of `indices` is not a segment index, else null
+function checkSegmentIndices(indices, segments, path) {
+  const bad = indices.find(index => index >= segments.length);
+  return bad === undefined ? null : `${path} refers to segment ${bad}, but the last segment is ${segments.length - 1}`;
+}
+
+// Start of the first and end of the last of the given segments
+function segmentSpan(segments, indices) {
+  return {
+    start: Math.min(...indices.map(i => segments[i].start)),
+    end: Math.max(...indices.map(i => segments[i].end))
+  };
+}
+
+// Segment indices cited as [n] in free text, in order and without repeats
+function citedSegments(text, segments) {
+  const cited = [...text.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])).filter(i => i < segments.length);
+  return [...new Set(cited)].sort((a, b) => a - b);
+}
+
+module.exports = {
+  SEGMENTS_SCHEMA,
+  SEGMENT_FORMAT,
+  validateSegments,
+  requireTimeOrder,
+  renderSegments,
+  formatTime,
+  checkSegmentIndices,
+  segmentSpan,
+  citedSegments
+};
@@ -0,0 +1,152 @@
+/**
+ * Per-speaker analytics for speaker-labelled segments
+ *
+ * Talk time, word counts, turns and interruptions are worked out here from
+ * the segments' times and text, without Claude. Claude only writes the
+ * per-speaker summaries (see the `speakers` operation), which must name
+ * every speaker by their label exactly once.
+ */
+
+const { ValidationError } = require('./errors');
+
+// Most speakers /speakers reports on
+const MAX_SPEAKERS = 50;
+
+// Overlap (seconds) before starting to talk over another speaker counts as
+// an interruption; recognizers' segment boundaries are a little loose
+const MIN_INTERRUPTION_OVERLAP = 0.5;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Speaker labels in order of first appearance (unlabelled segments have none)
+function speakerLabels(segments) {
+  return [...new Set(segments.map(segment => segment.speaker).filter(speaker => speaker !== null))];
+}
+
+// Labels of segments that /speakers can report on, or a ValidationError
+function requireSpeakers(segments) {
+  const labels = speakerLabels(segments);
+  if (labels.length === 0) {
+    throw new ValidationError('Segments need speaker labels');
+  }
+  if (labels.length > MAX_SPEAKERS) {
+    throw new ValidationError(`Too many speakers. Maximum ${MAX_SPEAKERS} allowed.`);
+  }
+  return labels;
+}
+
+/**
+ * Talk statistics per speaker, most talk time first. Unlabelled segments
+ * are left out. A turn is a run of consecutive segments by one speaker. A
+ * speaker interrupts when they start at least MIN_INTERRUPTION_OVERLAP
+ * seconds before the other speaker's latest segment ends.
+ *
+ * @param {{start: number, end: number, speaker: string|null, text: string}[]} segments - In order of start time
+ * @returns {{speakers: object[], totals: {talkTime: number, wordCount: number, interruptions: number}}}
+ */
+function speakerStats(segments) {
+  const stats = new Map();
+  const statsFor = (speaker) => {
+    if (!stats.has(speaker)) {
+      stats.set(speaker, { speaker, talkTime: 0, wordCount: 0, turns: 0, interruptions: 0, interrupted: 0 });
+    }
+    return stats.get(speaker);
+  };
+
+  let previousSpeaker = null;
+  let latest = null; // The labelled segment that ends last so far
+  for (const segment of segments) {
+    if (segment.speaker === null) continue;
+
+    const entry = statsFor(segment.speaker);
+    entry.talkTime += segment.end - segment.start;
+    entry.wordCount += countWords(segment.text);
+    if (segment.speaker !== previousSpeaker) entry.turns += 1;
+
+    if (latest && latest.speaker !== segment.speaker && latest.end - segment.start >= MIN_INTERRUPTION_OVERLAP) {
+      entry.interruptions += 1;
+      statsFor(latest.speaker).interrupted += 1;
+    }
+    if (!latest || segment.end > latest.end) latest = segment;
+    previousSpeaker = segment.speaker;
+  }
+
+  const entries = [...stats.values()];
+  const talkTime = entries.reduce((sum, entry) => sum + entry.talkTime, 0);
+  const speakers = entries
+    .sort((a, b) => b.talkTime - a.talkTime)
+    .map(entry => ({
+      ...entry,
+      talkTime: round(entry.talkTime, 1),
+      talkShare: talkTime > 0 ? round((entry.talkTime / talkTime) * 100, 1) : 0,
+      wordsPerMinute: entry.talkTime > 0 ? Math.round(entry.wordCount / (entry.talkTime / 60)) : null
+    }));
+
+  return {
+    speakers,
+    totals: {
+      talkTime: round(talkTime, 1),
+      wordCount: entries.reduce((sum, entry) => sum + entry.wordCount, 0),
+      interruptions: entries.reduce((sum, entry) => sum + entry.interruptions, 0)
+    }
+  };
+}
+
+/**
+ * Error message unless every speaker has exactly one summary, under their
+ * exact label; else null.
+ *
+ * @param {{speaker: string}[]} summaries
+ * @param {string[]} labels
+ * @returns {string|null}
+ */
+function checkSpeakerSummaries(summaries, labels) {
+  const seen = new Set();
+  for (const [i, { speaker }] of summaries.entries()) {
+    if (!labels.includes(speaker)) {
+      return `speakers[${i}].speaker '${speaker}' is not one of the speaker labels: ${labels.join(', ')}`;
+    }
+    if (seen.has(speaker)) {
+      return `speakers[${i}].speaker '${speaker}' has more than one summary`;
+    }
+    seen.add(speaker);
+  }
+  const missing = labels.filter(label => !seen.has(label));
+  return missing.length === 0 ? null : `speakers has no summary for: ${missing.join(', ')}`;
+}
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * The speaker label an action item's assignee refers to: the label itself
+ * (ignoring case and punctuation), or a speaker whose label starts with the
+ * assignee's name or whose first name is the assignee's, when only one does.
+ *
+ * @param {string|null} assignee
+ * @param {string[]} labels
+ * @returns {string|null} The label, or null if there is no single match
+ */
+function matchSpeaker(assignee, labels) {
+  if (!assignee) return null;
+  const name = normalizeName(assignee);
+  if (name === '') return null;
+
+  const exact = labels.find(label => normalizeName(label) === name);
+  if (exact) return exact;
+
+  const firstName = name.split(' ')[0];
+  const partial = labels.filter(label => {
+    const labelName = normalizeName(label);
+    return labelName.startsWith(`${name} `) || labelName.split(' ')[0] === firstName;
+  });
+  return partial.length === 1 ? partial[0] : null;
+}
+
+module.exports = {
+  speakerLabels,
+  requireSpeakers,
+  speakerStats,
+  checkSpeakerSummaries,
+  matchSpeaker
+};
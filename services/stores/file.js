@@ -0,0 +1,62 @@
+/**
+ * File-backed key-value store
+ * Each key is stored as its own JSON file inside one directory, so updating
+ * a record never rewrites the others.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function createFileStore(directory) {
+  let ready;
+
+  // Create the directory on first use
+  function ensureDirectory() {
+    if (!ready) {
+      ready = fs.mkdir(directory, { recursive: true });
+    }
+    return ready;
+  }
+
+  const fileFor = (key) => path.join(directory, `${encodeURIComponent(key)}.json`);
+
+  return {
+    async get(key) {
+      await ensureDirectory();
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+    },
+
+    async set(key, value) {
+      await ensureDirectory();
+      // Write to a temporary file and rename so readers never see a partial record
+      const file = fileFor(key);
+      const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(value));
+      await fs.rename(temp, file);
+    },
+
+    async delete(key) {
+      await ensureDirectory();
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async entries() {
+      await ensureDirectory();
+      const files = (await fs.readdir(directory)).filter(name => name.endsWith('.json'));
+      const entries = [];
+      for (const name of files) {
+        const key = decodeURIComponent(name.slice(0, -'.json'.length));
+        const value = await this.get(key);
+        if (value !== undefined) entries.push([key, value]);
+      }
+      return entries;
+    }
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,43 @@
+/**
+ * Pluggable key-value storage for VoiceSnap API
+ *
+ * Every store exposes the same async interface:
+ * - get(key) -> value, or undefined when missing
+ * - set(key, value)
+ * - delete(key)
+ * - entries() -> [[key, value], ...]
+ *
+ * Values must be JSON-serializable. Backends:
+ * - `memory` (default): process memory, lost on restart
+ * - `file`: one JSON file per key under `<dataDir>/<namespace>/`
+ * - `sqlite`: `<dataDir>/voicesnap.db`, requires the optional better-sqlite3 package
+ */
+
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createSQLiteStore } = require('./sqlite');
+
+// Base directory for the file and sqlite backends
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Create a store for one namespace (e.g. "jobs").
+ *
+ * @param {string} namespace - Keeps different kinds of records apart
+ * @param {string} [backend] - memory | file | sqlite
+ */
+function createStore(namespace, backend = 'memory') {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(path.join(DATA_DIR, namespace));
+    case 'sqlite':
+      return createSQLiteStore(path.join(DATA_DIR, 'voicesnap.db'), namespace);
+    default:
+      throw new Error(`Unknown store backend '${backend}'. Use memory, file or sqlite.`);
+  }
+}
+
+module.exports = { createStore, DATA_DIR };
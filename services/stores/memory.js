@@ -0,0 +1,31 @@
+/**
+ * In-memory key-value store (lost on restart)
+ */
+
+function createMemoryStore() {
+  const data = new Map();
+
+  // Values are copied in and out so callers can't mutate stored state,
+  // matching the behaviour of the persistent backends
+  const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    async get(key) {
+      return copy(data.get(key));
+    },
+
+    async set(key, value) {
+      data.set(key, copy(value));
+    },
+
+    async delete(key) {
+      data.delete(key);
+    },
+
+    async entries() {
+      return Array.from(data, ([key, value]) => [key, copy(value)]);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,55 @@
+/**
+ * SQLite-backed key-value store
+ * Requires the optional `better-sqlite3` package (npm install better-sqlite3).
+ * All namespaces share one database file, one table per namespace.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage requires the better-sqlite3 package. Run `npm install better-sqlite3` or choose another store backend.');
+  }
+}
+
+function createSQLiteStore(file, namespace) {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+
+  // Namespaces come from code, but keep the table name strictly alphanumeric
+  const table = `kv_${namespace.replace(/[^a-z0-9_]/gi, '_')}`;
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+
+  const statements = {
+    get: db.prepare(`SELECT value FROM ${table} WHERE key = ?`),
+    set: db.prepare(`INSERT INTO ${table} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`),
+    delete: db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+    entries: db.prepare(`SELECT key, value FROM ${table}`)
+  };
+
+  return {
+    async get(key) {
+      const row = statements.get.get(key);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+
+    async set(key, value) {
+      statements.set.run(key, JSON.stringify(value));
+    },
+
+    async delete(key) {
+      statements.delete.run(key);
+    },
+
+    async entries() {
+      return statements.entries.all().map(row => [row.key, JSON.parse(row.value)]);
+    }
+  };
+}
+
+module.exports = { createSQLiteStore };
@@ -0,0 +1,289 @@
+/**
+ * Subtitle files: SRT and WebVTT
+ *
+ * Parses existing subtitle files into cues, lays transcript segments out as
+ * cues within line length, line count and duration limits, and writes cues
+ * back out as SRT or WebVTT. A cue is `{ start, end, text }` with times in
+ * seconds and its lines separated by '\n'. Cues read from WebVTT also keep
+ * their `id` and `settings` (position, alignment, ...), and the file's NOTE,
+ * STYLE and REGION blocks are kept so they can be written back.
+ */
+
+const { ValidationError } = require('./errors');
+
+const FORMATS = ['srt', 'vtt'];
+
+// Limits on subtitle input
+const MAX_CUES = 20000;
+const MAX_CUE_LENGTH = 1000;
+
+// Layout options, as request body properties. The defaults follow common
+// broadcast guidelines: two lines of up to 42 characters, at most 7 seconds.
+const LAYOUT_PROPERTIES = {
+  maxLineLength: { type: 'integer', minimum: 20, maximum: 80, default: 42, description: 'Characters per line' },
+  maxLines: { type: 'integer', minimum: 1, maximum: 3, default: 2, description: 'Lines per cue' },
+  maxDuration: { type: 'number', minimum: 1, maximum: 20, default: 7, description: 'Seconds a cue stays on screen' }
+};
+
+// 01:02:03,456 (SRT) or 01:02:03.456 / 02:03.456 (WebVTT)
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{3})$/;
+const TIMING_LINE = /^(\S+)\s+-->\s+(\S+)(?:\s+(.*))?$/;
+
+// WebVTT blocks that are not cues
+const VTT_NON_CUE = /^(NOTE|STYLE|REGION)(\s|$)/;
+
+// Cues in order of start time (ties keep their order), each ending no later
+// than the next cue starts. Cues that start together are left as they are,
+// since clamping would leave one with no time on screen.
+function orderCues(cues) {
+  const sorted = cues
+    .map((cue, i) => ({ cue, i }))
+    .sort((a, b) => a.cue.start - b.cue.start || a.i - b.i)
+    .map(({ cue }) => cue);
+
+  return sorted.map((cue, i) => {
+    const next = sorted.slice(i + 1).find(later => later.start > cue.start);
+    return next && cue.end > next.start ? { ...cue, end: next.start } : cue;
+  });
+}
+
+function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(value);
+  if (!match) return null;
+  const [, h = '0', m, s, ms] = match;
+  if (Number(m) > 59 || Number(s) > 59) return null;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms) / 1000;
+}
+
+/**
+ * Parse an SRT or WebVTT file (told apart by the WEBVTT header). Cue text is
+ * passed through `sanitize`. Cues come back in file order with their times
+ * as written.
+ *
+ * @param {string} text
+ * @param {function(string): string} sanitize
+ * @returns {{format: string, cues: object[], blocks: {before: number, text: string}[]}}
+ *   `blocks` are WebVTT NOTE, STYLE and REGION blocks, each with the index of
+ *   the cue it comes before (the cue count if it comes after the last)
+ */
+function parseSubtitles(text, sanitize) {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+  const format = /^WEBVTT(\s|$)/.test(normalized) ? 'vtt' : 'srt';
+
+  const cueBlocks = [];
+  const blocks = [];
+  const fileBlocks = normalized.split(/\n(?:[ \t]*\n)+/).map(block => block.split('\n'));
+  for (const lines of format === 'vtt' ? fileBlocks.slice(1) : fileBlocks) {
+    if (format === 'vtt' && VTT_NON_CUE.test(lines[0])) {
+      blocks.push({ before: cueBlocks.length, text: lines.join('\n') });
+    } else {
+      cueBlocks.push(lines);
+    }
+  }
+
+  const cues = cueBlocks.map((lines, i) => {
+    const where = `Subtitle cue ${i + 1}`;
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      throw new ValidationError(`${where} has no timing line (start --> end)`);
+    }
+
+    const timing = TIMING_LINE.exec(lines[timingIndex].trim());
+    const start = timing && parseTimestamp(timing[1]);
+    const end = timing && parseTimestamp(timing[2]);
+    if (start === null || end === null) {
+      throw new ValidationError(`${where} has an invalid timing line: ${lines[timingIndex].trim().slice(0, 100)}`);
+    }
+    if (end < start) {
+      throw new ValidationError(`${where} ends before it starts`);
+    }
+
+    const cueText = lines.slice(timingIndex + 1).map(line => line.trim()).join('\n');
+    if (cueText.length > MAX_CUE_LENGTH) {
+      throw new ValidationError(`${where} is too long. Maximum ${MAX_CUE_LENGTH} characters allowed.`);
+    }
+
+    const cue = { start, end, text: sanitize(cueText) };
+    // SRT numbers its cues, which are renumbered on output; WebVTT IDs are kept
+    if (format === 'vtt') {
+      if (timingIndex === 1) cue.id = lines[0].trim();
+      if (timing[3]) cue.settings = timing[3].trim();
+    }
+    return cue;
+  });
+
+  if (cues.length === 0) {
+    throw new ValidationError('Subtitles contain no cues');
+  }
+  if (cues.length > MAX_CUES) {
+    throw new ValidationError(`Too many subtitle cues. Maximum ${MAX_CUES} allowed.`);
+  }
+  return { format, cues, blocks };
+}
+
+// Validate the output format, defaulting to `fallback`
+function parseFormat(value, fallback) {
+  if (value === undefined) return fallback;
+  if (!FORMATS.includes(value)) {
+    throw new ValidationError(`Format must be one of: ${FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+// Validate the layout options, filling in defaults
+function parseLayout(body) {
+  const layout = {};
+  for (const [name, { type, minimum, maximum, default: fallback }] of Object.entries(LAYOUT_PROPERTIES)) {
+    const value = body[name] === undefined ? fallback : body[name];
+    const valid = type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+    if (!valid || value < minimum || value > maximum) {
+      throw new ValidationError(`${name} must be ${type === 'integer' ? 'an integer' : 'a number'} between ${minimum} and ${maximum}`);
+    }
+    layout[name] = value;
+  }
+  return layout;
+}
+
+// Wrap words into lines of at most `maxLength` characters; a longer word
+// gets a line of its own
+function wrapWords(words, maxLength) {
+  const lines = [];
+  for (const word of words) {
+    const last = lines.length - 1;
+    if (last >= 0 && lines[last].length + 1 + word.length <= maxLength) {
+      lines[last] += ` ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+}
+
+// Cue text re-wrapped to `maxLength` characters per line
+function wrapText(text, maxLength) {
+  return wrapWords(text.split(/\s+/).filter(Boolean), maxLength).join('\n');
+}
+
+// Split words into `count` runs of roughly equal length
+function splitWords(words, count) {
+  const total = words.reduce((sum, word) => sum + word.length + 1, 0);
+  const groups = Array.from({ length: count }, () => []);
+  let used = 0;
+  for (const word of words) {
+    const middle = used + (word.length + 1) / 2;
+    groups[Math.min(count - 1, Math.floor((middle / total) * count))].push(word);
+    used += word.length + 1;
+  }
+  return groups.filter(group => group.length > 0);
+}
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// Cues for one segment: as few as fit its text in `maxLines` lines each and
+// keep each on screen no longer than `maxDuration`, sharing the segment's
+// time in proportion to their length
+function segmentCues({ start, end, text }, { maxLineLength, maxLines, maxDuration }) {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const duration = end - start;
+  const total = words.reduce((sum, word) => sum + word.length + 1, 0);
+  let count = Math.max(
+    Math.ceil(wrapWords(words, maxLineLength).length / maxLines),
+    Math.ceil(duration / maxDuration)
+  );
+
+  for (; ; count++) {
+    const groups = splitWords(words, Math.min(count, words.length));
+    let used = 0;
+    const cues = groups.map(group => {
+      const length = group.reduce((sum, word) => sum + word.length + 1, 0);
+      const cue = {
+        start: roundTime(start + (duration * used) / total),
+        end: roundTime(start + (duration * (used + length)) / total),
+        lines: wrapWords(group, maxLineLength)
+      };
+      used += length;
+      return cue;
+    });
+
+    // One word per cue is as far as splitting goes
+    const fits = cues.every(cue => cue.lines.length <= maxLines && cue.end - cue.start <= maxDuration + 0.001);
+    if (fits || count >= words.length) {
+      return cues.map(({ start: cueStart, end: cueEnd, lines }) => ({ start: cueStart, end: cueEnd, text: lines.join('\n') }));
+    }
+  }
+}
+
+/**
+ * Lay segments (or the cues of a subtitle file) out as cues within the
+ * layout limits. Long segments are split between words. Cues are in order of
+ * start time, each ending by the time the next starts.
+ *
+ * @param {{start: number, end: number, text: string}[]} segments
+ * @param {{maxLineLength: number, maxLines: number, maxDuration: number}} layout
+ * @returns {{start: number, end: number, text: string}[]}
+ */
+function layoutCues(segments, layout) {
+  return orderCues(orderCues(segments).flatMap(segment => segmentCues(segment, layout)));
+}
+
+function formatTimestamp(seconds, format) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const time = `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}`;
+  return `${time}${format === 'srt' ? ',' : '.'}${pad(ms % 1000, 3)}`;
+}
+
+// WebVTT voice tags (<v Bob>) as plain name prefixes, which SRT players show
+function voicesAsNames(text) {
+  return text.replace(/<v(?:\.[^\s>]*)?\s+([^>]+)>/g, '$1: ').replace(/<\/v>/g, '');
+}
+
+/**
+ * Write cues as an SRT or WebVTT file.
+ *
+ * @param {object[]} cues
+ * @param {string} format - srt | vtt
+ * @param {{before: number, text: string}[]} [blocks] - WebVTT NOTE, STYLE
+ *   and REGION blocks from parseSubtitles, written back in place (vtt only)
+ * @returns {string}
+ */
+function formatSubtitles(cues, format, blocks = []) {
+  const cueBlocks = cues.map((cue, i) => {
+    const timing = `${formatTimestamp(cue.start, format)} --> ${formatTimestamp(cue.end, format)}`;
+    // '-->' would end the cue early in WebVTT
+    const text = cue.text.replace(/-->/g, '->');
+    const lines = format === 'srt' ? voicesAsNames(text) : text;
+    const header = format === 'srt' ? `${i + 1}\n${timing}` : `${cue.id ? `${cue.id}\n` : ''}${timing}${cue.settings ? ` ${cue.settings}` : ''}`;
+    return lines ? `${header}\n${lines}` : header;
+  });
+
+  const written = format === 'vtt'
+    ? cueBlocks.flatMap((cue, i) => [...blocks.filter(({ before }) => before === i).map(({ text }) => text), cue])
+      .concat(blocks.filter(({ before }) => before >= cues.length).map(({ text }) => text))
+    : cueBlocks;
+  return `${format === 'vtt' ? 'WEBVTT\n\n' : ''}${written.join('\n\n')}\n`;
+}
+
+// Error message if cues rewritten by Claude no longer line up with the
+// cues sent (by id, in order), else null
+function checkCueIds(ids, expected) {
+  if (ids.length !== expected.length) {
+    return `cues has ${ids.length} entries, but ${expected.length} cues were sent (ids ${expected[0]}-${expected[expected.length - 1]}). Return exactly one entry per cue.`;
+  }
+  const i = ids.findIndex((id, j) => id !== expected[j]);
+  return i === -1 ? null : `cues[${i}].id is ${ids[i]}, but the cue in that position is ${expected[i]}. Keep every cue, in order.`;
+}
+
+module.exports = {
+  FORMATS,
+  LAYOUT_PROPERTIES,
+  parseSubtitles,
+  parseFormat,
+  parseLayout,
+  layoutCues,
+  wrapText,
+  formatSubtitles,
+  checkCueIds
+};
@@ -0,0 +1,215 @@
+/**
+ * Token usage ledger for VoiceSnap API
+ *
+ * Every request or job that runs an operation adds its metered token usage
+ * (see services/meter.js) to a per-key, per-day record, broken down by
+ * endpoint, with an estimated cost. Records live in a pluggable store
+ * (USAGE_STORE=file|memory|sqlite, JSON files by default).
+ *
+ * Costs are estimated from a price table in USD per million tokens. Override
+ * or extend it with TOKEN_PRICES, e.g.
+ *   TOKEN_PRICES='{"claude-sonnet-4-20250514": {"input": 3, "output": 15}}'
+ * A "default" entry prices models that are not listed.
+ */
+
+const { createStore } = require('./stores');
+const { createKeyedSerializer } = require('./concurrency');
+const { ValidationError } = require('./errors');
+const { meterTotals } = require('./meter');
+const { consumeTokens } = require('./quotas');
+const { logAnalytics } = require('../middleware/logger');
+
+// USD per million tokens
+const DEFAULT_PRICES = {
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-opus-4-20250514': { input: 15, output: 75 }
+};
+
+// Longest range /api/usage returns at once
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createStore('usage', process.env.USAGE_STORE || 'file');
+
+// Ledger updates are applied one at a time per record
+const serializeUpdates = createKeyedSerializer();
+
+// Built-in prices with TOKEN_PRICES applied on top
+function loadPrices() {
+  if (!process.env.TOKEN_PRICES) return DEFAULT_PRICES;
+
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.TOKEN_PRICES) };
+  } catch (error) {
+    console.error('Invalid TOKEN_PRICES, using default prices:', error.message);
+    return DEFAULT_PRICES;
+  }
+}
+
+const prices = loadPrices();
+
+// Round a dollar amount to a millionth of a dollar
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Estimated cost in USD of a meter's per-model token totals
+function estimateCost(models) {
+  let cost = 0;
+  for (const [model, totals] of Object.entries(models)) {
+    const price = prices[model] || prices.default;
+    if (!price) continue;
+    cost += (totals.inputTokens * price.input + totals.outputTokens * price.output) / 1e6;
+  }
+  return roundCost(cost);
+}
+
+// UTC calendar day (YYYY-MM-DD) of a timestamp
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, totals) {
+  target.requests += totals.requests;
+  target.inputTokens += totals.inputTokens;
+  target.outputTokens += totals.outputTokens;
+  target.costUsd = roundCost(target.costUsd + totals.costUsd);
+}
+
+/**
+ * Add a finished request's (or job's) metered usage to the ledger and log it.
+ * Never rejects; failures to write the ledger are logged.
+ *
+ * @param {object} entry
+ * @param {string} entry.keyId - API key that made the request
+ * @param {string} entry.operation - Operation (endpoint) name
+ * @param {object} entry.meter - Meter the work ran under
+ * @param {string} [entry.requestId]
+ * @param {string} [entry.jobId]
+ */
+async function recordUsage({ keyId, operation, meter, requestId, jobId }) {
+  const { inputTokens, outputTokens } = meterTotals(meter);
+  const costUsd = estimateCost(meter.models);
+
+  logAnalytics(requestId, 'Token usage', {
+    keyId,
+    operation,
+    jobId,
+    calls: meter.calls,
+    repairs: meter.repairs,
+    inputTokens,
+    outputTokens,
+    costUsd
+  });
+
+  // Counted before the ledger is written, so a quota counter seeded from
+  // the ledger (see services/quotas.js) never counts this request twice
+  await consumeTokens(keyId, inputTokens + outputTokens)
+    .catch(error => console.error('Failed to update token quota:', error));
+
+  const date = toDay(Date.now());
+  const recordKey = `${keyId}:${date}`;
+
+  try {
+    await serializeUpdates(recordKey, async () => {
+      const record = await store.get(recordKey) || { keyId, date, endpoints: {} };
+      const endpoint = record.endpoints[operation] || (record.endpoints[operation] = emptyTotals());
+      addTotals(endpoint, { requests: 1, inputTokens, outputTokens, costUsd });
+      await store.set(recordKey, record);
+    });
+  } catch (error) {
+    console.error('Failed to record usage:', error);
+  }
+}
+
+// Parse a YYYY-MM-DD query parameter into a UTC timestamp
+function parseDay(value, name) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+      Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new ValidationError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return Date.parse(`${value}T00:00:00Z`);
+}
+
+/**
+ * Usage for one key between two days (inclusive). Defaults to the last 30
+ * days up to today (UTC).
+ *
+ * @param {string} keyId
+ * @param {object} [range]
+ * @param {string} [range.from] - First day, YYYY-MM-DD
+ * @param {string} [range.to] - Last day, YYYY-MM-DD
+ * @returns {Promise<object>} Totals, per-endpoint totals and one entry per day with usage
+ */
+async function getUsage(keyId, { from, to } = {}) {
+  const end = to !== undefined ? parseDay(to, 'to') : Date.parse(`${toDay(Date.now())}T00:00:00Z`);
+  const start = from !== undefined ? parseDay(from, 'from') : end - 29 * DAY_MS;
+
+  if (start > end) {
+    throw new ValidationError('from must not be after to');
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new ValidationError(`Date range too long. Maximum ${MAX_RANGE_DAYS} days.`);
+  }
+
+  const totals = emptyTotals();
+  const endpoints = {};
+  const days = [];
+
+  for (let time = start; time <= end; time += DAY_MS) {
+    const record = await store.get(`${keyId}:${toDay(time)}`);
+    if (!record) continue;
+
+    const dayTotals = emptyTotals();
+    for (const [name, endpointTotals] of Object.entries(record.endpoints)) {
+      addTotals(dayTotals, endpointTotals);
+      addTotals(endpoints[name] || (endpoints[name] = emptyTotals()), endpointTotals);
+    }
+    addTotals(totals, dayTotals);
+    days.push({ date: record.date, ...dayTotals, endpoints: record.endpoints });
+  }
+
+  return {
+    keyId,
+    from: toDay(start),
+    to: toDay(end),
+    currency: 'USD',
+    ...totals,
+    endpoints,
+    days
+  };
+}
+
+/**
+ * Tokens (input and output) a key has used this calendar month (UTC), up to
+ * and including today.
+ *
+ * @param {string} keyId
+ * @param {number} [now] - Time in milliseconds
+ * @returns {Promise<number>}
+ */
+async function monthTokens(keyId, now = Date.now()) {
+  const date = new Date(now);
+  let tokens = 0;
+  for (let time = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1); time <= now; time += DAY_MS) {
+    const record = await store.get(`${keyId}:${toDay(time)}`);
+    if (!record) continue;
+    for (const { inputTokens, outputTokens } of Object.values(record.endpoints)) {
+      tokens += inputTokens + outputTokens;
+    }
+  }
+  return tokens;
+}
+
+module.exports = {
+  recordUsage,
+  getUsage,
+  monthTokens,
+  estimateCost
+};
@@ -0,0 +1,100 @@
+/**
+ * Parsing and validation of structured (JSON) responses from Claude
+ * The expected shapes are JSON Schemas defined in ./schemas.js.
+ */
+
+const { ErrorCodes } = require('./errors');
+const { validate, unwrapOutput } = require('./schemas');
+
+// Helper function to parse JSON from Claude responses (strips markdown code blocks)
+function parseJSON(response) {
+  // Remove markdown code blocks if present
+  let cleaned = response.trim();
+  if (cleaned.startsWith('```json')) {
+    cleaned = cleaned.slice(7);
+  } else if (cleaned.startsWith('```')) {
+    cleaned = cleaned.slice(3);
+  }
+  if (cleaned.endsWith('```')) {
+    cleaned = cleaned.slice(0, -3);
+  }
+  return JSON.parse(cleaned.trim());
+}
+
+// Index just past the bracket that closes the one at `start`, or -1. Brackets
+// inside strings are skipped.
+function findClosingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+// Lenient fallback for responses that wrap the JSON in prose: parse the first
+// balanced object or array that is valid JSON
+function extractJSON(response) {
+  for (let start = response.search(/[{[]/); start !== -1; ) {
+    const end = findClosingBracket(response, start);
+    if (end !== -1) {
+      try {
+        return JSON.parse(response.slice(start, end));
+      } catch (e) {
+        // Not JSON after all, try the next opening bracket
+      }
+    }
+    const next = response.slice(start + 1).search(/[{[]/);
+    start = next === -1 ? -1 : start + 1 + next;
+  }
+  throw new SyntaxError('No JSON value found in response');
+}
+
+// Helper to parse and validate JSON response against the named schema
+function parseAndValidate(response, schemaName) {
+  let parsed;
+  try {
+    parsed = parseJSON(response);
+  } catch (e) {
+    try {
+      parsed = extractJSON(response);
+    } catch (extractError) {
+      return {
+        success: false,
+        error: 'Failed to parse response as JSON',
+        code: ErrorCodes.PARSE_ERROR
+      };
+    }
+  }
+
+  // Structured output arrives wrapped in its response field
+  parsed = unwrapOutput(schemaName, parsed);
+
+  const result = validate(schemaName, parsed);
+  if (!result.valid) {
+    return {
+      success: false,
+      error: result.error,
+      code: ErrorCodes.SCHEMA_ERROR
+    };
+  }
+
+  return { success: true, data: parsed };
+}
+
+module.exports = {
+  parseJSON,
+  extractJSON,
+  parseAndValidate
+};
@@ -0,0 +1,299 @@
+/**
+ * Signed webhook delivery for VoiceSnap API
+ * POSTs finished results to a client-supplied callback URL.
+ *
+ * Each delivery is signed with HMAC-SHA256 using a secret derived from the
+ * caller's API key, so partners can verify it came from us:
+ *
+ *   X-VoiceSnap-Signature: t=<unix seconds>,v1=<hex HMAC of "<t>.<raw body>">
+ *
+ * The signing secret is HMAC-SHA256(apiKey, "voicesnap-webhook-v1") in hex.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { logAnalytics } = require('../middleware/logger');
+const { ValidationError } = require('./errors');
+
+// Retry configuration (mirrors the Claude client's backoff)
+const MAX_ATTEMPTS = 5;
+const INITIAL_RETRY_DELAY_MS = 1000;
+
+// Give up on a single delivery attempt after 10 seconds
+const DELIVERY_TIMEOUT_MS = 10000;
+
+const WEBHOOK_SECRET_CONTEXT = 'voicesnap-webhook-v1';
+
+// Hostnames that must never receive callbacks (prevents requests into our
+// own network). IP addresses are checked with isPrivateAddress instead.
+const BLOCKED_HOSTNAME_PATTERNS = [
+  /^localhost$/i,
+  /\.localhost$/i
+];
+
+// IPv4 ranges that are not public: [first octets, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  [[0], 8], // "This" network
+  [[10], 8], // Private
+  [[100, 64], 10], // Carrier-grade NAT
+  [[127], 8], // Loopback
+  [[169, 254], 16], // Link-local, including cloud metadata endpoints
+  [[172, 16], 12], // Private
+  [[192, 0, 0], 24], // IETF protocol assignments
+  [[192, 168], 16], // Private
+  [[198, 18], 15], // Benchmarking
+  [[224], 3] // Multicast, reserved and broadcast
+];
+
+// Sleep helper for retry delays
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isPrivateIPv4(address) {
+  const value = address.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+  return PRIVATE_IPV4_RANGES.some(([octets, prefix]) => {
+    const base = [0, 1, 2, 3].reduce((total, i) => total * 256 + (octets[i] || 0), 0);
+    const size = 2 ** (32 - prefix);
+    return value >= base && value < base + size;
+  });
+}
+
+// An IPv6 address as its eight 16-bit words ("::" expanded, a trailing
+// dotted IPv4 part converted)
+function ipv6Words(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map(word => parseInt(word, 16)) : []);
+  const words = parse(head);
+  const rest = tail === undefined ? [] : parse(tail);
+  return [...words, ...new Array(8 - words.length - rest.length).fill(0), ...rest];
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * a public internet address. IPv6 addresses that embed an IPv4 address
+ * (mapped ::ffff:a.b.c.d, compatible ::a.b.c.d, NAT64 64:ff9b::a.b.c.d) are
+ * judged by that address.
+ *
+ * @param {string} address - IPv4 or IPv6 address, without brackets
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return isPrivateIPv4(address);
+  if (family !== 6) return true;
+
+  const words = ipv6Words(address);
+  const embedded = `${words[6] >> 8}.${words[6] & 255}.${words[7] >> 8}.${words[7] & 255}`;
+  const upperZero = words.slice(0, 5).every(word => word === 0);
+  if (upperZero && (words[5] === 0xffff || words[5] === 0)) {
+    // :: and ::1 fall in 0.0.0.0/8 this way
+    return isPrivateIPv4(embedded);
+  }
+  if (words[0] === 0x64 && words[1] === 0xff9b && words.slice(2, 6).every(word => word === 0)) {
+    return isPrivateIPv4(embedded);
+  }
+  return (words[0] & 0xfe00) === 0xfc00 || // Unique local
+    (words[0] & 0xffc0) === 0xfe80 || // Link-local
+    (words[0] & 0xff00) === 0xff00 || // Multicast
+    words[0] === 0x2001 && words[1] === 0xdb8; // Documentation
+}
+
+// Whether a URL hostname names a host callbacks must not reach
+function isBlockedHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return BLOCKED_HOSTNAME_PATTERNS.some(pattern => pattern.test(host));
+}
+
+// Error for a callback host that resolves to an address we must not reach
+function blockedAddressError(hostname, address) {
+  const error = new Error(hostname === address
+    ? `${address} is not a public address`
+    : `${hostname} resolves to non-public address ${address}`);
+  error.code = 'EBLOCKEDADDRESS';
+  return error;
+}
+
+// dns.lookup replacement for deliveries: resolves the host and refuses to
+// connect if any of its addresses is private, so a public name pointing at
+// an internal address (or re-pointed after validation) is never reached
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a body to a URL without following redirects, connecting only to
+// public addresses. Resolves to the response status.
+function postToPublicHost(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      return reject(blockedAddressError(host, host));
+    }
+
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      timeout: DELIVERY_TIMEOUT_MS
+    }, (response) => {
+      // Release the connection; the body is not used
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error('Delivery timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Derive the per-key webhook signing secret from an API key
+function deriveWebhookSecret(apiKey) {
+  return crypto.createHmac('sha256', apiKey).update(WEBHOOK_SECRET_CONTEXT).digest('hex');
+}
+
+// Build the signature header value for a raw request body
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Validate a client-supplied callback URL.
+ * HTTPS is required in production; private and loopback hosts are rejected
+ * in every environment. Hostnames are resolved again at delivery time (see
+ * publicLookup), since DNS can point a public name at a private address.
+ *
+ * @returns {string} Normalized URL
+ */
+function validateCallbackUrl(callbackUrl) {
+  if (typeof callbackUrl !== 'string' || callbackUrl.trim() === '') {
+    throw new ValidationError('callbackUrl must be a non-empty string');
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl.trim());
+  } catch (e) {
+    throw new ValidationError('callbackUrl is not a valid URL');
+  }
+
+  const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!allowedProtocols.includes(url.protocol)) {
+    throw new ValidationError(`callbackUrl must use ${allowedProtocols.join(' or ').replace(/:/g, '')}`);
+  }
+
+  if (isBlockedHostname(url.hostname)) {
+    throw new ValidationError('callbackUrl must point to a public host');
+  }
+
+  if (url.username || url.password) {
+    throw new ValidationError('callbackUrl must not contain credentials');
+  }
+
+  return url.toString();
+}
+
+// Build the callback settings stored on a job: validated URL plus signing secret
+function createCallback(callbackUrl, apiKey) {
+  return {
+    url: validateCallbackUrl(callbackUrl),
+    secret: deriveWebhookSecret(apiKey)
+  };
+}
+
+// Determine if a failed delivery is worth retrying
+function isRetryableDelivery(status, errorCode) {
+  if (errorCode === 'EBLOCKEDADDRESS') return false;
+  if (status === undefined) return true; // Network error or timeout
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Deliver a payload to a callback URL, retrying with exponential backoff.
+ * Never throws; every attempt is recorded with logAnalytics.
+ *
+ * @param {object} delivery
+ * @param {string} delivery.url - Validated callback URL
+ * @param {string} delivery.secret - Signing secret from deriveWebhookSecret
+ * @param {string} delivery.requestId - X-Request-ID of the original request
+ * @param {string} delivery.event - e.g. "job.succeeded" or "job.failed"
+ * @param {number} delivery.status - HTTP status the synchronous route would have returned
+ * @param {object} delivery.payload - Response body the synchronous route would have returned
+ * @param {string} [delivery.jobId]
+ * @returns {Promise<boolean>} Whether the callback was accepted
+ */
+async function deliverWebhook({ url, secret, requestId, event, status, payload, jobId }) {
+  const body = JSON.stringify(payload);
+  const host = new URL(url).host;
+  let attempt;
+
+  for (attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let responseStatus;
+    let errorMessage;
+    let errorCode;
+
+    try {
+      responseStatus = await postToPublicHost(url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'VoiceSnap-Webhook/1.0',
+        'X-Request-ID': requestId || '',
+        'X-VoiceSnap-Event': event,
+        'X-VoiceSnap-Status': String(status),
+        'X-VoiceSnap-Job-ID': jobId || '',
+        // Sign at send time so the timestamp reflects this attempt
+        'X-VoiceSnap-Signature': signPayload(secret, body)
+      }, body);
+    } catch (error) {
+      errorMessage = error.message;
+      errorCode = error.code;
+    }
+
+    const delivered = responseStatus >= 200 && responseStatus < 300;
+    logAnalytics(requestId, 'Webhook delivery', {
+      jobId,
+      event,
+      host,
+      attempt,
+      delivered,
+      responseStatus,
+      error: errorMessage
+    });
+
+    if (delivered) return true;
+    if (!isRetryableDelivery(responseStatus, errorCode) || attempt === MAX_ATTEMPTS) break;
+
+    // Exponential backoff with jitter
+    const delay = INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt - 1) + Math.random() * 500;
+    await sleep(delay);
+  }
+
+  logAnalytics(requestId, 'Webhook delivery failed', { jobId, event, host, attempts: Math.min(attempt, MAX_ATTEMPTS) });
+  return false;
+}
+
+module.exports = {
+  deriveWebhookSecret,
+  signPayload,
+  validateCallbackUrl,
+  isPrivateAddress,
+  createCallback,
+  deliverWebhook
+};
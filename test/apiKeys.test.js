@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicesnap-test-'));
+process.env.LLM_ENDPOINT_PROVIDERS = JSON.stringify({ chat: { provider: 'mock', model: 'pinned' } });
+
+const { chooseQuality } = require('../services/apiKeys');
+const { resolveTarget } = require('../services/providers');
+
+const restricted = { id: 'key_test', qualityTiers: ['fast', 'balanced'] };
+
+test('chooseQuality keeps an endpoint pinned in LLM_ENDPOINT_PROVIDERS for restricted keys', () => {
+  const quality = chooseQuality(restricted, 'chat', undefined);
+
+  assert.strictEqual(quality, null);
+  assert.deepStrictEqual(resolveTarget('chat', quality), { provider: 'mock', model: 'pinned' });
+});
+
+test('chooseQuality gives a restricted key its best tier when it may not use the default', () => {
+  assert.strictEqual(chooseQuality({ id: 'key_test', qualityTiers: ['fast'] }, 'summary', undefined), 'fast');
+  assert.strictEqual(chooseQuality(restricted, 'summary', undefined), null);
+});
+
+test('chooseQuality rejects a tier the key may not use', () => {
+  assert.throws(() => chooseQuality(restricted, 'chat', 'best'), { statusCode: 403 });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Operations run against the mock provider, with nothing written to the repo
+process.env.LLM_MODE = 'mock';
+process.env.CACHE_STORE = 'off';
+process.env.JOB_STORE = 'memory';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicesnap-test-'));
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+// Let the test act when the worker reads a job record, before it starts the
+// job. The read waits for the hook, or a short while if the hook is itself
+// waiting on the worker.
+const memory = require('../services/stores/memory');
+const { createMemoryStore } = memory;
+let onFirstRead = null;
+memory.createMemoryStore = () => {
+  const store = createMemoryStore();
+  const { get } = store;
+  store.get = async (key) => {
+    const value = await get(key);
+    if (onFirstRead && value && value.id === key) {
+      const hook = onFirstRead;
+      onFirstRead = null;
+      await Promise.race([hook(key), settle()]);
+    }
+    return value;
+  };
+  return store;
+};
+
+const { createJob, getJob, cancelJob, JobStatus } = require('../services/jobs');
+
+test('a job cancelled while the worker is starting it stays cancelled', async () => {
+  let cancelling;
+  onFirstRead = (id) => {
+    cancelling = cancelJob(id);
+    return cancelling;
+  };
+
+  const job = await createJob('summary', { transcript: 'A short transcript.' }, { keyId: 'test' });
+  await settle();
+  await cancelling;
+  await settle();
+
+  assert.strictEqual((await getJob(job.id)).status, JobStatus.CANCELLED);
+});
+
+test('a job that is not cancelled runs to completion', async () => {
+  const job = await createJob('summary', { transcript: 'A short transcript.' }, { keyId: 'test' });
+  await settle();
+
+  const finished = await getJob(job.id);
+  assert.strictEqual(finished.status, JobStatus.SUCCEEDED);
+  assert.ok(finished.result.summary);
+});
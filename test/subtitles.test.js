@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Operations run against the mock provider, with nothing written to the repo
+process.env.LLM_MODE = 'mock';
+process.env.CACHE_STORE = 'off';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicesnap-test-'));
+
+const { parseSubtitles, layoutCues, formatSubtitles } = require('../services/subtitles');
+const { operations } = require('../services/operations');
+
+const layout = { maxLineLength: 42, maxLines: 2, maxDuration: 7 };
+const times = (cues) => cues.map(({ start, end }) => [start, end]);
+const timingLines = (file) => file.split('\n').filter(line => line.includes('-->'));
+
+const overlappingSrt = [
+  '1', '00:00:00,000 --> 00:00:04,000', 'First',
+  '',
+  '2', '00:00:02,000 --> 00:00:05,000', 'Second',
+  '',
+  '3', '00:00:01,000 --> 00:00:03,000', 'Third'
+].join('\n');
+
+test('parseSubtitles keeps cues in file order with their times', () => {
+  const { cues } = parseSubtitles(overlappingSrt, text => text);
+
+  assert.deepStrictEqual(cues.map(cue => cue.text), ['First', 'Second', 'Third']);
+  assert.deepStrictEqual(times(cues), [[0, 4], [2, 5], [1, 3]]);
+});
+
+test('parseSubtitles keeps WebVTT NOTE and STYLE blocks for formatSubtitles', () => {
+  const vtt = 'WEBVTT\n\nSTYLE\n::cue { color: yellow }\n\n00:01.000 --> 00:02.000\nHello\n\nNOTE checked by Ana\n\n00:03.000 --> 00:04.000\nBye\n';
+
+  const { cues, blocks } = parseSubtitles(vtt, text => text);
+
+  assert.strictEqual(cues.length, 2);
+  assert.deepStrictEqual(formatSubtitles(cues, 'vtt', blocks), [
+    'WEBVTT', '',
+    'STYLE', '::cue { color: yellow }', '',
+    '00:00:01.000 --> 00:00:02.000', 'Hello', '',
+    'NOTE checked by Ana', '',
+    '00:00:03.000 --> 00:00:04.000', 'Bye', ''
+  ].join('\n'));
+});
+
+test('layoutCues sorts cues and ends each one when the next starts', () => {
+  const { cues } = parseSubtitles(overlappingSrt, text => text);
+
+  const laid = layoutCues(cues, layout);
+
+  assert.deepStrictEqual(laid.map(cue => cue.text), ['First', 'Third', 'Second']);
+  assert.deepStrictEqual(times(laid), [[0, 1], [1, 2], [2, 5]]);
+});
+
+test('layoutCues leaves cues that start together as they are', () => {
+  const laid = layoutCues([
+    { start: 1, end: 3, text: 'Top' },
+    { start: 1, end: 2, text: 'Bottom' }
+  ], layout);
+
+  assert.deepStrictEqual(times(laid), [[1, 3], [1, 2]]);
+});
+
+test('translating subtitles keeps every timestamp and cue as sent', async () => {
+  const translate = operations.translate;
+  const input = translate.input({ subtitles: overlappingSrt, targetLanguage: 'Spanish' });
+
+  const { body } = await translate.run(input, {});
+
+  assert.deepStrictEqual(timingLines(body.translated), timingLines(overlappingSrt));
+  assert.strictEqual(body.cues, 3);
+});